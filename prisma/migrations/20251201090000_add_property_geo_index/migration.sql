@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Property_lat_lng_idx" ON "Property"("lat", "lng");
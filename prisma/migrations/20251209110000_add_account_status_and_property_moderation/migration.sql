@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN     "hiddenAt" TIMESTAMP(3),
+ADD COLUMN     "hiddenReason" TEXT;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Rental" ADD COLUMN     "endedAt" TIMESTAMP(3),
+ADD COLUMN     "firstDueDate" TIMESTAMP(3);
+
+-- Existing rentals have no payment history; start their ledger at the current due date
+UPDATE "Rental" SET "firstDueDate" = "nextDueDate";
+
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" SERIAL NOT NULL,
+    "rentalId" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "method" TEXT NOT NULL,
+    "reference" TEXT,
+    "note" TEXT,
+    "paidAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'recorded',
+    "recordedById" INTEGER NOT NULL,
+    "disputeReason" TEXT,
+    "disputedById" INTEGER,
+    "disputedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_rentalId_idx" ON "Payment"("rentalId");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_rentalId_fkey" FOREIGN KEY ("rentalId") REFERENCES "Rental"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
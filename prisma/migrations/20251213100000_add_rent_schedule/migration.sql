@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Rental" ADD COLUMN     "billingFrequency" TEXT NOT NULL DEFAULT 'monthly',
+ADD COLUMN     "gracePeriodDays" INTEGER NOT NULL DEFAULT 0;
+
+-- Drop duplicate manual reminders before enforcing one reminder per due date
+DELETE FROM "RentReminder" a
+USING "RentReminder" b
+WHERE a."rentalId" = b."rentalId" AND a."dueDate" = b."dueDate" AND a."id" > b."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RentReminder_rentalId_dueDate_key" ON "RentReminder"("rentalId", "dueDate");
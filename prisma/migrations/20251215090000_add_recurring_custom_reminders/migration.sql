@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "CustomReminder" ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "leadDays" INTEGER[] DEFAULT ARRAY[1]::INTEGER[],
+ADD COLUMN     "occurrenceIndex" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "recurrenceCount" INTEGER,
+ADD COLUMN     "recurrenceDay" INTEGER,
+ADD COLUMN     "recurrenceInterval" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurrenceType" TEXT,
+ADD COLUMN     "recurrenceUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "CustomReminderOccurrence" (
+    "id" SERIAL NOT NULL,
+    "reminderId" INTEGER NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "amount" DOUBLE PRECISION,
+    "paidAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomReminderOccurrence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CustomReminderDelivery" (
+    "id" SERIAL NOT NULL,
+    "reminderId" INTEGER NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "leadDays" INTEGER NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomReminderDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomReminderOccurrence_reminderId_idx" ON "CustomReminderOccurrence"("reminderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomReminderDelivery_reminderId_dueDate_leadDays_key" ON "CustomReminderDelivery"("reminderId", "dueDate", "leadDays");
+
+-- AddForeignKey
+ALTER TABLE "CustomReminderOccurrence" ADD CONSTRAINT "CustomReminderOccurrence_reminderId_fkey" FOREIGN KEY ("reminderId") REFERENCES "CustomReminder"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomReminderDelivery" ADD CONSTRAINT "CustomReminderDelivery_reminderId_fkey" FOREIGN KEY ("reminderId") REFERENCES "CustomReminder"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- Existing history predates receipts; treat it as delivered and read so badges start at zero
+UPDATE "Message" SET "deliveredAt" = "sentAt", "readAt" = "sentAt";
+
+-- CreateIndex
+CREATE INDEX "Message_chatId_readAt_idx" ON "Message"("chatId", "readAt");
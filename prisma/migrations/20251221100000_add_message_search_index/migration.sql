@@ -0,0 +1,2 @@
+-- Full-text index backing GET /chats/search (not expressible in schema.prisma)
+CREATE INDEX "Message_content_fts_idx" ON "Message" USING GIN (to_tsvector('simple', "content"));
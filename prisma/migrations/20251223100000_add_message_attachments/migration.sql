@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "MessageAttachment" (
+    "id" SERIAL NOT NULL,
+    "messageId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "url" TEXT,
+    "publicId" TEXT,
+    "mimeType" TEXT,
+    "size" INTEGER,
+    "name" TEXT,
+    "lat" DOUBLE PRECISION,
+    "lng" DOUBLE PRECISION,
+    "label" TEXT,
+    "propertyId" INTEGER,
+
+    CONSTRAINT "MessageAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageAttachment_messageId_idx" ON "MessageAttachment"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE SET NULL ON UPDATE CASCADE;
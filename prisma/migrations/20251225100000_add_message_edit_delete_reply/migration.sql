@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedFor" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "editedAt" TIMESTAMP(3),
+ADD COLUMN     "replyToId" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_replyToId_fkey" FOREIGN KEY ("replyToId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "ViewingSlot" (
+    "id" SERIAL NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "bookedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ViewingSlot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Viewing" (
+    "id" SERIAL NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "slotId" INTEGER NOT NULL,
+    "renterId" INTEGER NOT NULL,
+    "chatId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'requested',
+    "note" TEXT,
+    "cancelledById" INTEGER,
+    "cancelReason" TEXT,
+    "reminderSentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Viewing_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ViewingSlot_propertyId_startsAt_key" ON "ViewingSlot"("propertyId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "Viewing_renterId_idx" ON "Viewing"("renterId");
+
+-- CreateIndex
+CREATE INDEX "Viewing_propertyId_status_idx" ON "Viewing"("propertyId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ViewingSlot" ADD CONSTRAINT "ViewingSlot_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Viewing" ADD CONSTRAINT "Viewing_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Viewing" ADD CONSTRAINT "Viewing_slotId_fkey" FOREIGN KEY ("slotId") REFERENCES "ViewingSlot"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Viewing" ADD CONSTRAINT "Viewing_renterId_fkey" FOREIGN KEY ("renterId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Viewing" ADD CONSTRAINT "Viewing_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "Chat"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN     "isAvailable" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "RentalApplication" (
+    "id" SERIAL NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "applicantId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'submitted',
+    "moveInDate" TIMESTAMP(3) NOT NULL,
+    "occupants" INTEGER NOT NULL,
+    "monthlyIncome" DOUBLE PRECISION,
+    "message" TEXT,
+    "rentalId" INTEGER,
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RentalApplication_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RentalApplicationEvent" (
+    "id" SERIAL NOT NULL,
+    "applicationId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "actorId" INTEGER NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RentalApplicationEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RentalApplication_rentalId_key" ON "RentalApplication"("rentalId");
+
+-- CreateIndex
+CREATE INDEX "RentalApplication_propertyId_status_idx" ON "RentalApplication"("propertyId", "status");
+
+-- CreateIndex
+CREATE INDEX "RentalApplication_applicantId_idx" ON "RentalApplication"("applicantId");
+
+-- CreateIndex
+CREATE INDEX "RentalApplicationEvent_applicationId_idx" ON "RentalApplicationEvent"("applicationId");
+
+-- AddForeignKey
+ALTER TABLE "RentalApplication" ADD CONSTRAINT "RentalApplication_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RentalApplication" ADD CONSTRAINT "RentalApplication_applicantId_fkey" FOREIGN KEY ("applicantId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RentalApplication" ADD CONSTRAINT "RentalApplication_rentalId_fkey" FOREIGN KEY ("rentalId") REFERENCES "Rental"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RentalApplicationEvent" ADD CONSTRAINT "RentalApplicationEvent_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "RentalApplication"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RentalApplicationEvent" ADD CONSTRAINT "RentalApplicationEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
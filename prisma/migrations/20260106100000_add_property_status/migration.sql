@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN     "availableFrom" TIMESTAMP(3),
+ADD COLUMN     "publishedAt" TIMESTAMP(3),
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'published';
+
+-- Existing listings were live; ones taken by a rental become rented
+UPDATE "Property" SET "publishedAt" = "createdAt";
+UPDATE "Property" SET "status" = 'rented' WHERE "isAvailable" = false;
+
+-- AlterTable
+ALTER TABLE "Property" DROP COLUMN "isAvailable";
+
+-- CreateIndex
+CREATE INDEX "Property_status_idx" ON "Property"("status");
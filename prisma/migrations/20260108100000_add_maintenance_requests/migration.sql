@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "MaintenanceRequest" (
+    "id" SERIAL NOT NULL,
+    "rentalId" INTEGER NOT NULL,
+    "reporterId" INTEGER NOT NULL,
+    "category" TEXT NOT NULL,
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "photos" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "scheduledFor" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaintenanceRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MaintenanceEvent" (
+    "id" SERIAL NOT NULL,
+    "requestId" INTEGER NOT NULL,
+    "actorId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT,
+    "comment" TEXT,
+    "photos" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MaintenanceEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_rentalId_status_idx" ON "MaintenanceRequest"("rentalId", "status");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceEvent_requestId_idx" ON "MaintenanceEvent"("requestId");
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_rentalId_fkey" FOREIGN KEY ("rentalId") REFERENCES "Rental"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceEvent" ADD CONSTRAINT "MaintenanceEvent_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "MaintenanceRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceEvent" ADD CONSTRAINT "MaintenanceEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "LeaseAgreement" (
+    "id" SERIAL NOT NULL,
+    "rentalId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "previousId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "terms" JSONB NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "pdf" BYTEA,
+    "documentHash" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedById" INTEGER,
+    "acceptanceHash" TEXT,
+    "acceptedIp" TEXT,
+    "acceptedUserAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LeaseAgreement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LeaseAgreement_rentalId_version_key" ON "LeaseAgreement"("rentalId", "version");
+
+-- AddForeignKey
+ALTER TABLE "LeaseAgreement" ADD CONSTRAINT "LeaseAgreement_rentalId_fkey" FOREIGN KEY ("rentalId") REFERENCES "Rental"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LeaseAgreement" ADD CONSTRAINT "LeaseAgreement_previousId_fkey" FOREIGN KEY ("previousId") REFERENCES "LeaseAgreement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LeaseAgreement" ADD CONSTRAINT "LeaseAgreement_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LeaseAgreement" ADD CONSTRAINT "LeaseAgreement_acceptedById_fkey" FOREIGN KEY ("acceptedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "Review" (
+    "id" SERIAL NOT NULL,
+    "rentalId" INTEGER NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "authorId" INTEGER NOT NULL,
+    "subjectId" INTEGER NOT NULL,
+    "direction" TEXT NOT NULL,
+    "ratings" JSONB NOT NULL,
+    "rating" DOUBLE PRECISION NOT NULL,
+    "comment" TEXT,
+    "response" TEXT,
+    "respondedAt" TIMESTAMP(3),
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Review_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_rentalId_authorId_key" ON "Review"("rentalId", "authorId");
+
+-- CreateIndex
+CREATE INDEX "Review_propertyId_direction_idx" ON "Review"("propertyId", "direction");
+
+-- CreateIndex
+CREATE INDEX "Review_subjectId_direction_idx" ON "Review"("subjectId", "direction");
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_rentalId_fkey" FOREIGN KEY ("rentalId") REFERENCES "Rental"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_subjectId_fkey" FOREIGN KEY ("subjectId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
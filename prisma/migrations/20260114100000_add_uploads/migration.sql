@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Upload" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "driver" TEXT NOT NULL,
+    "publicId" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL DEFAULT 'image',
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Upload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_url_key" ON "Upload"("url");
+
+-- CreateIndex
+CREATE INDEX "Upload_ownerId_idx" ON "Upload"("ownerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_driver_publicId_key" ON "Upload"("driver", "publicId");
+
+-- AddForeignKey
+ALTER TABLE "Upload" ADD CONSTRAINT "Upload_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
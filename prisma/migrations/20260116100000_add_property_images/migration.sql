@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "PropertyImage" (
+    "id" SERIAL NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "mediumUrl" TEXT NOT NULL,
+    "thumbnailUrl" TEXT NOT NULL,
+    "width" INTEGER,
+    "height" INTEGER,
+    "caption" TEXT,
+    "position" INTEGER NOT NULL,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PropertyImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PropertyImage_propertyId_position_idx" ON "PropertyImage"("propertyId", "position");
+
+-- AddForeignKey
+ALTER TABLE "PropertyImage" ADD CONSTRAINT "PropertyImage_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill galleries from the existing images arrays (and imageUrl when it isn't in the array).
+-- Older photos have no variants, so every variant points at the original URL.
+INSERT INTO "PropertyImage" ("propertyId", "url", "mediumUrl", "thumbnailUrl", "position", "isCover")
+SELECT p."id", src."url", src."url", src."url", src."position" - 1, COALESCE(src."url" = p."imageUrl", false)
+FROM "Property" p
+CROSS JOIN LATERAL (
+    SELECT u."url", ROW_NUMBER() OVER (ORDER BY u."ord") AS "position"
+    FROM (
+        SELECT DISTINCT ON (x."url") x."url", x."ord"
+        FROM (
+            SELECT p."imageUrl" AS "url", 0 AS "ord" WHERE p."imageUrl" IS NOT NULL AND p."imageUrl" <> ''
+            UNION ALL
+            SELECT i."url", i."ord" FROM unnest(p."images") WITH ORDINALITY AS i("url", "ord") WHERE i."url" <> ''
+        ) x
+        ORDER BY x."url", x."ord"
+    ) u
+) src;
+
+-- Properties whose imageUrl was blank get their first image as the cover
+UPDATE "PropertyImage" pi SET "isCover" = true
+WHERE pi."position" = 0
+  AND NOT EXISTS (SELECT 1 FROM "PropertyImage" c WHERE c."propertyId" = pi."propertyId" AND c."isCover");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "SavedSearchDigestEntry" (
+    "id" SERIAL NOT NULL,
+    "savedSearchId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "propertyId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+
+    CONSTRAINT "SavedSearchDigestEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SavedSearchDigestEntry_savedSearchId_propertyId_key" ON "SavedSearchDigestEntry"("savedSearchId", "propertyId");
+
+-- CreateIndex
+CREATE INDEX "SavedSearchDigestEntry_userId_sentAt_idx" ON "SavedSearchDigestEntry"("userId", "sentAt");
+
+-- AddForeignKey
+ALTER TABLE "SavedSearchDigestEntry" ADD CONSTRAINT "SavedSearchDigestEntry_savedSearchId_fkey" FOREIGN KEY ("savedSearchId") REFERENCES "SavedSearch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SavedSearchDigestEntry" ADD CONSTRAINT "SavedSearchDigestEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SavedSearchDigestEntry" ADD CONSTRAINT "SavedSearchDigestEntry_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
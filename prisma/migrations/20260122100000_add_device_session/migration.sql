@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "sessionId" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "Device" ADD CONSTRAINT "Device_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
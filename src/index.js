@@ -2,8 +2,27 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
-const jwt = require('jsonwebtoken');
 const prisma = require('./lib/prisma');
+const { setIo } = require('./lib/realtime');
+const { verifyAccessToken } = require('./lib/sessions');
+const {
+  MessageError,
+  findChatForUser,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  markChatRead,
+  deliverPending,
+} = require('./lib/chatMessages');
+const { AttachmentError, prepareAttachments } = require('./lib/chatAttachments');
+const { userConnected, userDisconnected } = require('./lib/presence');
+const { getStorage } = require('./lib/storage');
+const { getPushTransport } = require('./lib/pushTransports');
+const { leaseSigningSecret } = require('./lib/leases');
+const { createRentReminderScheduler } = require('./jobs/rentReminderScheduler');
+const { createCustomReminderDispatcher } = require('./jobs/customReminderDispatcher');
+const { createViewingReminderScheduler } = require('./jobs/viewingReminderScheduler');
+const { createSavedSearchDigestSender } = require('./jobs/savedSearchDigestSender');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -25,8 +44,23 @@ const propertyRoutes = require('./routes/properties');
 const favouriteRoutes = require('./routes/favourites');
 const chatRoutes = require('./routes/chats');
 const rentalRoutes = require('./routes/rentals');
+const rentalPaymentRoutes = require('./routes/rentalPayments');
+const rentalMaintenanceRoutes = require('./routes/rentalMaintenance');
+const rentalLeaseRoutes = require('./routes/rentalLeases');
+const rentalReviewRoutes = require('./routes/rentalReviews');
+const reviewRoutes = require('./routes/reviews');
 const userRoutes = require('./routes/users');
 const reminderRoutes = require('./routes/reminders');
+const savedSearchRoutes = require('./routes/savedSearches');
+const adminRoutes = require('./routes/admin');
+const calendarRoutes = require('./routes/calendar');
+const reportRoutes = require('./routes/reports');
+const notificationRoutes = require('./routes/notifications');
+const propertyViewingRoutes = require('./routes/propertyViewings');
+const viewingRoutes = require('./routes/viewings');
+const propertyApplicationRoutes = require('./routes/propertyApplications');
+const propertyImageRoutes = require('./routes/propertyImages');
+const applicationRoutes = require('./routes/applications');
 
 // Root route
 app.get('/', (req, res) => {
@@ -56,14 +90,32 @@ app.get('/_routes', (req, res) => {
   }
 });
 
+// The local storage driver serves uploaded files from the app
+const { serve: servedUploads } = getStorage();
+if (servedUploads) app.use(servedUploads.path, servedUploads.handler);
 app.use('/upload', uploadRoutes);
 app.use('/auth', authRoutes);
+app.use('/properties/:id', propertyViewingRoutes);
+app.use('/properties/:id', propertyApplicationRoutes);
+app.use('/properties/:id', propertyImageRoutes);
 app.use('/properties', propertyRoutes);
 app.use('/favourites', favouriteRoutes);
 app.use('/chats', chatRoutes);
+app.use('/rentals/:id/payments', rentalPaymentRoutes);
+app.use('/rentals/:id/maintenance', rentalMaintenanceRoutes);
+app.use('/rentals/:id/leases', rentalLeaseRoutes);
+app.use('/rentals/:id/reviews', rentalReviewRoutes);
 app.use('/rentals', rentalRoutes);
 app.use('/users', userRoutes);
 app.use('/reminders', reminderRoutes);
+app.use('/saved-searches', savedSearchRoutes);
+app.use('/admin', adminRoutes);
+app.use('/calendar', calendarRoutes);
+app.use('/reports', reportRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/viewings', viewingRoutes);
+app.use('/applications', applicationRoutes);
+app.use('/reviews', reviewRoutes);
 
 // Start HTTP server and attach Socket.IO
 const server = http.createServer(app);
@@ -75,9 +127,10 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
   },
 });
+setIo(io);
 
 // Socket auth middleware: expects Authorization: Bearer <token> in handshake headers
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   try {
     const authHeader = socket.handshake.headers['authorization'] || socket.handshake.auth?.token;
     let token = null;
@@ -87,11 +140,12 @@ io.use((socket, next) => {
       token = authHeader; // allow raw token via handshake.auth.token
     }
     if (!token) return next(new Error('Unauthorized'));
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = { id: decoded.id, role: decoded.role };
+    // Same check as the HTTP middleware: revoked or expired sessions are refused
+    socket.user = await verifyAccessToken(token);
     return next();
   } catch (e) {
-    return next(new Error('Unauthorized'));
+    // Blocked accounts get a specific message so the app can explain why
+    return next(new Error(e?.code ? e.message : 'Unauthorized'));
   }
 });
 
@@ -104,6 +158,13 @@ io.on('connection', (socket) => {
 
   // Join a personal room for presence/DM if needed
   socket.join(`user:${userId}`);
+  // Per-session room so revoking a session can drop its sockets
+  socket.join(`session:${socket.user.sid}`);
+
+  // Messages sent while this user was offline are now delivered
+  deliverPending(userId).catch(() => {});
+  // Tell chat counterparts this user came online (only for their first device)
+  userConnected(userId, socket.id).catch((e) => console.error('presence error', e));
 
   // Join a chat room
   socket.on('chat:join', async ({ chatId }) => {
@@ -125,19 +186,56 @@ io.on('connection', (socket) => {
   });
 
   // Send a message
-  socket.on('message:send', async ({ chatId, content }) => {
+  // Optional ack(result) receives { message } or { error }
+  socket.on('message:send', async ({ chatId, content, attachments, replyToId } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
     try {
       const id = Number(chatId);
-      if (!id || !content || typeof content !== 'string' || !content.trim()) return;
-      const chat = await prisma.chat.findFirst({
-        where: { id, OR: [{ userAId: userId }, { userBId: userId }] },
-        select: { id: true },
-      });
+      const text = typeof content === 'string' ? content.trim() : '';
+      if (!id || (!text && !attachments?.length)) return reply({ error: 'content or attachments is required' });
+      const chat = await findChatForUser(id, userId);
+      if (!chat) return reply({ error: 'Chat not found' });
+      const rows = await prepareAttachments(attachments, userId);
+      const message = await sendMessage(chat, userId, text, { attachments: rows, replyToId: Number(replyToId) || null });
+      return reply({ message });
+    } catch (e) {
+      const known = e instanceof AttachmentError || e instanceof MessageError;
+      return reply({ error: known ? e.message : 'Failed to send message' });
+    }
+  });
+
+  socket.on('message:edit', async ({ chatId, messageId, content } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const chat = await findChatForUser(Number(chatId), userId);
+      if (!chat) return reply({ error: 'Chat not found' });
+      const message = await editMessage(chat, userId, Number(messageId), content);
+      return reply({ message });
+    } catch (e) {
+      return reply({ error: e instanceof MessageError ? e.message : 'Failed to edit message' });
+    }
+  });
+
+  // scope: 'me' (default) or 'everyone'
+  socket.on('message:delete', async ({ chatId, messageId, scope } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (scope && scope !== 'me' && scope !== 'everyone') return reply({ error: 'Invalid scope' });
+      const chat = await findChatForUser(Number(chatId), userId);
+      if (!chat) return reply({ error: 'Chat not found' });
+      const result = await deleteMessage(chat, userId, Number(messageId), scope || 'me');
+      return reply(result);
+    } catch (e) {
+      return reply({ error: e instanceof MessageError ? e.message : 'Failed to delete message' });
+    }
+  });
+
+  // Read receipt: marks the other participant's messages read up to upToMessageId (or all)
+  socket.on('message:read', async ({ chatId, upToMessageId } = {}) => {
+    try {
+      const chat = await findChatForUser(Number(chatId), userId);
       if (!chat) return;
-      const msg = await prisma.message.create({
-        data: { chatId: id, senderId: userId, content: content.trim() },
-      });
-      io.to(`chat:${id}`).emit('message:new', msg);
+      await markChatRead(chat, userId, Number(upToMessageId) || null);
     } catch (e) {
       // swallow
     }
@@ -151,14 +249,28 @@ io.on('connection', (socket) => {
   });
 
   socket.on('disconnect', () => {
-    // presence/offline events could be emitted here
+    // Goes offline and records lastSeenAt once the last device disconnects
+    userDisconnected(userId, socket.id).catch((e) => console.error('presence error', e));
   });
 });
 
+// Fail at startup rather than on the first notification or lease acceptance if push or
+// lease signing is misconfigured
+getPushTransport();
+leaseSigningSecret();
+
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
 
+// Background jobs (set DISABLE_SCHEDULERS=true on extra instances or in tests)
+if (process.env.DISABLE_SCHEDULERS !== 'true') {
+  createRentReminderScheduler().start();
+  createCustomReminderDispatcher().start();
+  createViewingReminderScheduler().start();
+  createSavedSearchDigestSender().start();
+}
+
 server.on('error', (err) => {
   console.error('HTTP server error:', err);
 });
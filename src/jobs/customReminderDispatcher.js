@@ -0,0 +1,99 @@
+const defaultPrisma = require('../lib/prisma');
+const { emitToUser } = require('../lib/realtime');
+const { sendMail } = require('../lib/mailer');
+const { notify } = require('../lib/notifications');
+const { DAY_MS } = require('../lib/rentSchedule');
+const { createIntervalRunner } = require('./runner');
+
+// Delivers custom reminders at each of their `leadDays` (days before dueDate) by socket and email.
+// A CustomReminderDelivery row per (reminder, dueDate, lead) is the claim, so a lead time fires
+// once even across restarts or multiple instances. When several lead times have passed at once
+// (e.g. a reminder created late) only the closest one is sent.
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_LEAD_DAYS = 30;
+// Reminders further past due than this are not delivered (e.g. after long downtime)
+const STALE_AFTER_MS = DAY_MS;
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+const defaultNotifier = {
+  async due({ reminder, leadDays }) {
+    emitToUser(reminder.userId, 'reminder:due', {
+      reminderId: reminder.id,
+      propertyTitle: reminder.propertyTitle,
+      counterparty: reminder.counterparty,
+      amount: reminder.amount,
+      dueDate: reminder.dueDate,
+      leadDays,
+    });
+    const when = leadDays === 0 ? 'today' : `on ${formatDate(reminder.dueDate)}`;
+    await sendMail({
+      to: reminder.user.email,
+      subject: `Reminder: ${reminder.propertyTitle} due ${when}`,
+      text: `Hi ${reminder.user.name},\n\nYour ${reminder.role} reminder for ${reminder.propertyTitle}` +
+        `${reminder.amount != null ? ` (${reminder.amount})` : ''} is due ${when}.`,
+    });
+    await notify(reminder.userId, {
+      category: 'payment_due',
+      title: `${reminder.propertyTitle} due ${when}`,
+      body: reminder.amount != null ? `Amount: ${reminder.amount}` : `${reminder.role} reminder`,
+      data: { reminderId: reminder.id, dueDate: reminder.dueDate },
+    });
+  },
+};
+
+function createCustomReminderDispatcher({
+  prisma = defaultPrisma,
+  clock = () => new Date(),
+  notifier = defaultNotifier,
+  intervalMs = Number(process.env.REMINDER_DISPATCH_INTERVAL_MS || DEFAULT_INTERVAL_MS),
+} = {}) {
+  // Smallest lead time whose send moment has passed, or null
+  function currentLead(reminder, now) {
+    const passed = reminder.leadDays.filter((d) => reminder.dueDate.getTime() - d * DAY_MS <= now.getTime());
+    return passed.length ? Math.min(...passed) : null;
+  }
+
+  async function claim(reminder, leadDays, now) {
+    try {
+      await prisma.customReminderDelivery.create({
+        data: { reminderId: reminder.id, dueDate: reminder.dueDate, leadDays, sentAt: now },
+      });
+      return true;
+    } catch (e) {
+      if (e?.code === 'P2002') return false; // already delivered
+      throw e;
+    }
+  }
+
+  // One pass over open reminders. Resolves to the number of deliveries.
+  async function runOnce() {
+    const now = clock();
+    const reminders = await prisma.customReminder.findMany({
+      where: {
+        completedAt: null,
+        dueDate: { gte: new Date(now.getTime() - STALE_AFTER_MS), lte: new Date(now.getTime() + MAX_LEAD_DAYS * DAY_MS) },
+      },
+      include: { user: { select: { id: true, name: true, email: true } } },
+    });
+    let delivered = 0;
+    for (const reminder of reminders) {
+      try {
+        const lead = currentLead(reminder, now);
+        if (lead === null || !(await claim(reminder, lead, now))) continue;
+        delivered += 1;
+        await notifier.due({ reminder, leadDays: lead });
+      } catch (e) {
+        console.error(`Reminder dispatcher error (reminder ${reminder.id}):`, e?.message || e);
+      }
+    }
+    return delivered;
+  }
+
+  return { ...createIntervalRunner('Reminder dispatcher', runOnce, intervalMs), runOnce };
+}
+
+module.exports = { createCustomReminderDispatcher };
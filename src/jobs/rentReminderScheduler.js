@@ -0,0 +1,135 @@
+const defaultPrisma = require('../lib/prisma');
+const { emitToUser } = require('../lib/realtime');
+const { sendMail } = require('../lib/mailer');
+const { notify } = require('../lib/notifications');
+const { DAY_MS, dueDatesBetween } = require('../lib/rentSchedule');
+const { createIntervalRunner } = require('./runner');
+
+// Background job that keeps RentReminder rows in step with each active rental's schedule:
+//  1. creates reminders for unpaid due dates up to `horizonDays` ahead
+//  2. marks pending reminders overdue once the rental's grace period has passed
+//  3. notifies the borrower (email + socket) and owner (socket) `leadDays` before a due date
+// Every step is conditional on the current row state, so re-running after a restart (or on
+// several instances at once) never duplicates reminders or notifications.
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+const defaultNotifier = {
+  async upcoming({ reminder, rental }) {
+    const payload = { reminderId: reminder.id, rentalId: rental.id, dueDate: reminder.dueDate, amount: rental.rentAmount };
+    emitToUser(rental.borrowerId, 'rent:reminder', payload);
+    emitToUser(rental.property.ownerId, 'rent:reminder', payload);
+    await sendMail({
+      to: rental.borrower.email,
+      subject: `Rent due ${formatDate(reminder.dueDate)} for ${rental.property.title}`,
+      text: `Hi ${rental.borrower.name},\n\nYour rent of ${rental.rentAmount} for ${rental.property.title} is due on ${formatDate(reminder.dueDate)}.`,
+    });
+    await notify(rental.borrowerId, {
+      category: 'payment_due',
+      title: `Rent due ${formatDate(reminder.dueDate)}`,
+      body: `${rental.rentAmount} for ${rental.property.title}`,
+      data: payload,
+    });
+  },
+  async overdue({ reminder, rental }) {
+    const payload = { reminderId: reminder.id, rentalId: rental.id, dueDate: reminder.dueDate, amount: rental.rentAmount };
+    emitToUser(rental.borrowerId, 'rent:overdue', payload);
+    emitToUser(rental.property.ownerId, 'rent:overdue', payload);
+    await notify(rental.borrowerId, {
+      category: 'payment_due',
+      title: 'Rent overdue',
+      body: `${rental.rentAmount} for ${rental.property.title} was due ${formatDate(reminder.dueDate)}`,
+      data: payload,
+    });
+  },
+};
+
+function createRentReminderScheduler({
+  prisma = defaultPrisma,
+  clock = () => new Date(),
+  notifier = defaultNotifier,
+  intervalMs = Number(process.env.RENT_SCHEDULER_INTERVAL_MS || DEFAULT_INTERVAL_MS),
+  leadDays = Number(process.env.RENT_REMINDER_LEAD_DAYS || 3),
+  horizonDays = 35,
+} = {}) {
+  async function generateReminders(rental, now) {
+    const until = new Date(now.getTime() + horizonDays * DAY_MS);
+    const anchor = rental.firstDueDate || rental.nextDueDate;
+    const dates = dueDatesBetween(anchor, rental.nextDueDate, until, rental.billingFrequency);
+    if (!dates.length) return 0;
+    // (rentalId, dueDate) is unique, so existing reminders are left alone
+    const { count } = await prisma.rentReminder.createMany({
+      data: dates.map((dueDate) => ({ rentalId: rental.id, dueDate, status: 'pending' })),
+      skipDuplicates: true,
+    });
+    return count;
+  }
+
+  async function markOverdue(rental, now) {
+    const cutoff = new Date(now.getTime() - rental.gracePeriodDays * DAY_MS);
+    const late = await prisma.rentReminder.findMany({
+      where: { rentalId: rental.id, status: 'pending', dueDate: { lt: cutoff } },
+    });
+    let marked = 0;
+    for (const reminder of late) {
+      const { count } = await prisma.rentReminder.updateMany({
+        where: { id: reminder.id, status: 'pending' },
+        data: { status: 'overdue' },
+      });
+      if (count !== 1) continue;
+      marked += 1;
+      await notifier.overdue({ reminder: { ...reminder, status: 'overdue' }, rental });
+    }
+    return marked;
+  }
+
+  async function sendUpcoming(rental, now) {
+    const soon = new Date(now.getTime() + leadDays * DAY_MS);
+    const due = await prisma.rentReminder.findMany({
+      where: { rentalId: rental.id, status: 'pending', notifiedAt: null, dueDate: { lte: soon } },
+    });
+    let sent = 0;
+    for (const reminder of due) {
+      // Claim the reminder first so only one run/instance notifies
+      const { count } = await prisma.rentReminder.updateMany({
+        where: { id: reminder.id, notifiedAt: null },
+        data: { notifiedAt: now },
+      });
+      if (count !== 1) continue;
+      sent += 1;
+      await notifier.upcoming({ reminder: { ...reminder, notifiedAt: now }, rental });
+    }
+    return sent;
+  }
+
+  // One pass over all active rentals. Resolves to counts for logging and tests.
+  async function runOnce() {
+    const now = clock();
+    const totals = { created: 0, overdue: 0, notified: 0 };
+    const rentals = await prisma.rental.findMany({
+      where: { isActive: true },
+      include: {
+        property: { select: { id: true, title: true, ownerId: true } },
+        borrower: { select: { id: true, name: true, email: true } },
+      },
+    });
+    for (const rental of rentals) {
+      try {
+        totals.created += await generateReminders(rental, now);
+        totals.overdue += await markOverdue(rental, now);
+        totals.notified += await sendUpcoming(rental, now);
+      } catch (e) {
+        console.error(`Rent scheduler error (rental ${rental.id}):`, e?.message || e);
+      }
+    }
+    return totals;
+  }
+
+  return { ...createIntervalRunner('Rent scheduler', runOnce, intervalMs), runOnce };
+}
+
+module.exports = { createRentReminderScheduler };
@@ -0,0 +1,33 @@
+// Runs `runOnce` every `intervalMs`, skipping a tick while the previous run is still going
+function createIntervalRunner(name, runOnce, intervalMs) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (e) {
+      console.error(`${name} error:`, e?.message || e);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, intervalMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createIntervalRunner };
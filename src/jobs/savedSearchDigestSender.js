@@ -0,0 +1,45 @@
+const defaultPrisma = require('../lib/prisma');
+const { DIGEST_DELAY_MS, flushDigest } = require('../lib/savedSearchAlerts');
+const { DAY_MS } = require('../lib/rentSchedule');
+const { createIntervalRunner } = require('./runner');
+
+// Emails saved-search digests: once a user's oldest pending match is DIGEST_DELAY_MS old, every
+// pending match for that user goes out in one email. Pending matches live in the database, so
+// they survive restarts. Sent entries are kept for a while and then pruned.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const KEEP_SENT_MS = 30 * DAY_MS;
+
+function createSavedSearchDigestSender({
+  prisma = defaultPrisma,
+  clock = () => new Date(),
+  send = flushDigest,
+  intervalMs = Number(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MS || DEFAULT_INTERVAL_MS),
+} = {}) {
+  // One pass. Resolves to the number of digests sent.
+  async function runOnce() {
+    const now = clock();
+    const due = await prisma.savedSearchDigestEntry.groupBy({
+      by: ['userId'],
+      where: { sentAt: null },
+      _min: { createdAt: true },
+    });
+    let sent = 0;
+    for (const { userId, _min } of due) {
+      if (_min.createdAt.getTime() + DIGEST_DELAY_MS > now.getTime()) continue;
+      try {
+        if (await send(userId, now)) sent += 1;
+      } catch (e) {
+        console.error(`Saved search digest error (user ${userId}):`, e?.message || e);
+      }
+    }
+    await prisma.savedSearchDigestEntry.deleteMany({
+      where: { sentAt: { lt: new Date(now.getTime() - KEEP_SENT_MS) } },
+    });
+    return sent;
+  }
+
+  return { ...createIntervalRunner('Saved search digest sender', runOnce, intervalMs), runOnce };
+}
+
+module.exports = { createSavedSearchDigestSender };
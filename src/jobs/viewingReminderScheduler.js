@@ -0,0 +1,72 @@
+const defaultPrisma = require('../lib/prisma');
+const { viewingInclude, notifyViewing } = require('../lib/viewings');
+const { createIntervalRunner } = require('./runner');
+
+// Background job for viewing appointments:
+//  1. reminds renter and owner `leadMinutes` before a confirmed viewing (claimed via reminderSentAt,
+//     so each viewing is reminded once even across instances)
+//  2. closes viewings whose slot has ended: confirmed -> completed, still requested -> cancelled
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+const defaultNotifier = {
+  async upcoming({ viewing }) {
+    await notifyViewing(viewing.renterId, viewing, 'Viewing reminder');
+    await notifyViewing(viewing.property.ownerId, viewing, 'Viewing reminder');
+  },
+};
+
+function createViewingReminderScheduler({
+  prisma = defaultPrisma,
+  clock = () => new Date(),
+  notifier = defaultNotifier,
+  intervalMs = Number(process.env.VIEWING_SCHEDULER_INTERVAL_MS || DEFAULT_INTERVAL_MS),
+  leadMinutes = Number(process.env.VIEWING_REMINDER_LEAD_MINUTES || 120),
+} = {}) {
+  async function sendReminders(now) {
+    const soon = new Date(now.getTime() + leadMinutes * 60 * 1000);
+    const due = await prisma.viewing.findMany({
+      where: { status: 'confirmed', reminderSentAt: null, slot: { startsAt: { gt: now, lte: soon } } },
+      include: viewingInclude,
+    });
+    let sent = 0;
+    for (const viewing of due) {
+      try {
+        const { count } = await prisma.viewing.updateMany({
+          where: { id: viewing.id, reminderSentAt: null },
+          data: { reminderSentAt: now },
+        });
+        if (count !== 1) continue;
+        sent += 1;
+        await notifier.upcoming({ viewing });
+      } catch (e) {
+        console.error(`Viewing scheduler error (viewing ${viewing.id}):`, e?.message || e);
+      }
+    }
+    return sent;
+  }
+
+  async function closeFinished(now) {
+    const ended = { slot: { endsAt: { lt: now } } };
+    const completed = await prisma.viewing.updateMany({
+      where: { status: 'confirmed', ...ended },
+      data: { status: 'completed' },
+    });
+    const expired = await prisma.viewing.updateMany({
+      where: { status: 'requested', ...ended },
+      data: { status: 'cancelled', cancelReason: 'Not confirmed before the viewing time' },
+    });
+    return { completed: completed.count, expired: expired.count };
+  }
+
+  // One pass. Resolves to counts for logging and tests.
+  async function runOnce() {
+    const now = clock();
+    const reminded = await sendReminders(now);
+    return { reminded, ...(await closeFinished(now)) };
+  }
+
+  return { ...createIntervalRunner('Viewing scheduler', runOnce, intervalMs), runOnce };
+}
+
+module.exports = { createViewingReminderScheduler };
@@ -0,0 +1,85 @@
+const { emitToUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// Rental application state machine. Owners move applications through review; applicants can
+// withdraw while it is still open. accepted, rejected and withdrawn are final.
+
+const APPLICATION_STATUSES = ['submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn'];
+const OPEN_APPLICATION_STATUSES = ['submitted', 'shortlisted'];
+
+// from -> to -> who may make the move
+const TRANSITIONS = {
+  submitted: { shortlisted: 'owner', accepted: 'owner', rejected: 'owner', withdrawn: 'applicant' },
+  shortlisted: { accepted: 'owner', rejected: 'owner', withdrawn: 'applicant' },
+};
+
+const STATUS_TITLES = {
+  submitted: 'New rental application',
+  shortlisted: 'You have been shortlisted',
+  accepted: 'Application accepted',
+  rejected: 'Application not successful',
+  withdrawn: 'Application withdrawn',
+};
+
+// The application changed between reading it and updating it (e.g. withdrawn while being accepted)
+class ApplicationChangedError extends Error {}
+
+const applicationInclude = {
+  property: { select: { id: true, title: true, imageUrl: true, price: true, ownerId: true, status: true } },
+  applicant: { select: { id: true, name: true, avatarUrl: true } },
+};
+
+// 'owner' | 'applicant' when `role` may move `from` -> `to`, else null
+function allowedActor(from, to) {
+  return TRANSITIONS[from]?.[to] || null;
+}
+
+// Update the status and record the event inside a transaction. Only moves the application from
+// the status it was read with; otherwise throws ApplicationChangedError so the transaction rolls back.
+async function recordTransition(tx, application, toStatus, actorId, note = null, data = {}) {
+  const final = !OPEN_APPLICATION_STATUSES.includes(toStatus);
+  const { count } = await tx.rentalApplication.updateMany({
+    where: { id: application.id, status: application.status },
+    data: { status: toStatus, ...(final ? { decidedAt: new Date() } : {}), ...data },
+  });
+  if (count !== 1) throw new ApplicationChangedError('Application was changed by someone else, reload and try again');
+  await tx.rentalApplicationEvent.create({
+    data: { applicationId: application.id, fromStatus: application.status, toStatus, actorId, note },
+  });
+  return tx.rentalApplication.findUnique({ where: { id: application.id }, include: applicationInclude });
+}
+
+// Turn down the open applications for a property that has just been let, inside the transaction
+// that lets it. Resolves to the declined applications.
+async function declineOpenApplications(tx, propertyId, actorId, { exceptId } = {}) {
+  const open = await tx.rentalApplication.findMany({
+    where: { propertyId, status: { in: OPEN_APPLICATION_STATUSES }, ...(exceptId ? { id: { not: exceptId } } : {}) },
+  });
+  const declined = [];
+  for (const application of open) {
+    declined.push(await recordTransition(tx, application, 'rejected', actorId, 'The property has been let to another applicant'));
+  }
+  return declined;
+}
+
+// Socket event plus push/inbox entry about an application's new status
+async function notifyApplication(userId, application, note) {
+  emitToUser(userId, 'application:update', application);
+  await notify(userId, {
+    category: 'application',
+    title: STATUS_TITLES[application.status],
+    body: note ? `${application.property.title}: ${note}` : application.property.title,
+    data: { applicationId: application.id, propertyId: application.propertyId, rentalId: application.rentalId },
+  }).catch((e) => console.error('application notification error', e));
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  ApplicationChangedError,
+  applicationInclude,
+  allowedActor,
+  recordTransition,
+  declineOpenApplications,
+  notifyApplication,
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { hashToken } = require('./sessions');
+
+// Single-use, expiring tokens for email verification and password reset.
+// Only the hash is stored; the raw token goes out by email.
+const TOKEN_TYPES = {
+  emailVerify: { type: 'email_verify', ttlMs: 1000 * 60 * 60 * 24 }, // 24 hours
+  passwordReset: { type: 'password_reset', ttlMs: 1000 * 60 * 60 }, // 1 hour
+};
+
+// Issue a fresh token; any earlier unused token of the same type stops working
+async function issueToken(userId, { type, ttlMs }) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  await prisma.$transaction([
+    prisma.authToken.updateMany({ where: { userId, type, usedAt: null }, data: { usedAt: now } }),
+    prisma.authToken.create({
+      data: { userId, type, tokenHash: hashToken(raw), expiresAt: new Date(now.getTime() + ttlMs) },
+    }),
+  ]);
+  return raw;
+}
+
+// Mark a token used and resolve to its row, or null when unknown, expired or already used
+async function consumeToken(raw, { type }) {
+  const tokenHash = hashToken(raw);
+  const now = new Date();
+  // Conditional update so two concurrent requests can't both redeem the same token
+  const { count } = await prisma.authToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now },
+  });
+  if (count !== 1) return null;
+  return prisma.authToken.findUnique({ where: { tokenHash } });
+}
+
+// Most recent token of a type, used to throttle resends
+async function latestToken(userId, { type }) {
+  return prisma.authToken.findFirst({ where: { userId, type }, orderBy: { createdAt: 'desc' } });
+}
+
+module.exports = { TOKEN_TYPES, issueToken, consumeToken, latestToken };
@@ -0,0 +1,34 @@
+const prisma = require('./prisma');
+
+// User blocks: a block in either direction stops new chats and messages between the two users;
+// the blocker additionally stops seeing chats with the blocked user.
+
+async function isBlockedBetween(userId, otherUserId) {
+  const block = await prisma.userBlock.findFirst({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: otherUserId },
+        { blockerId: otherUserId, blockedId: userId },
+      ],
+    },
+    select: { id: true },
+  });
+  return !!block;
+}
+
+// Ids of the users `userId` has blocked
+async function blockedUserIds(userId) {
+  const rows = await prisma.userBlock.findMany({ where: { blockerId: userId }, select: { blockedId: true } });
+  return rows.map((r) => r.blockedId);
+}
+
+// Ids of users with a block in either direction with `userId`
+async function blockedEitherWay(userId) {
+  const rows = await prisma.userBlock.findMany({
+    where: { OR: [{ blockerId: userId }, { blockedId: userId }] },
+    select: { blockerId: true, blockedId: true },
+  });
+  return rows.map((r) => (r.blockerId === userId ? r.blockedId : r.blockerId));
+}
+
+module.exports = { isBlockedBetween, blockedUserIds, blockedEitherWay };
@@ -0,0 +1,121 @@
+const prisma = require('./prisma');
+const { getStorage } = require('./storage');
+const {
+  IMAGE_MIME_TYPES,
+  DOCUMENT_MIME_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_DOCUMENT_BYTES,
+} = require('../upload');
+const { VISIBLE_STATUSES } = require('./propertyLifecycle');
+
+// Attachments carried by chat messages. Images and files are uploaded first through
+// POST /upload/image or /upload/file; the message then references the returned url, and the
+// stored Upload row (not the client) supplies its publicId, mimeType and size.
+
+const ATTACHMENT_TYPES = ['image', 'file', 'location', 'property'];
+const MAX_ATTACHMENTS = 10;
+
+class AttachmentError extends Error {}
+
+// Prisma include for messages returned to clients
+const attachmentInclude = {
+  attachments: {
+    orderBy: { id: 'asc' },
+    include: { property: { select: { id: true, title: true, imageUrl: true, price: true, listingType: true, location: true } } },
+  },
+};
+
+function fail(index, message) {
+  throw new AttachmentError(`attachments[${index}]: ${message}`);
+}
+
+function uploadedUrl(a, i) {
+  if (typeof a.url !== 'string' || !a.url) fail(i, 'url is required');
+  return a.url;
+}
+
+// Fill an image/file attachment from its Upload row; only the sender's own uploads can be attached
+function uploadedFile(row, upload, senderId, mimeTypes, maxBytes) {
+  const { index, ...rest } = row;
+  if (!upload || upload.ownerId !== senderId) fail(index, 'url must be one of your uploads');
+  if (!mimeTypes.includes(upload.mimeType)) fail(index, `unsupported mimeType ${upload.mimeType}`);
+  if (upload.size != null && upload.size > maxBytes) fail(index, 'file is too large');
+  return { ...rest, url: upload.url, publicId: upload.publicId, mimeType: upload.mimeType, size: upload.size };
+}
+
+// Validate raw attachments from a REST body or socket payload and return rows ready for
+// `attachments: { create }`. Throws AttachmentError with a client-facing message.
+async function prepareAttachments(list, senderId) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new AttachmentError('attachments must be an array');
+  if (list.length > MAX_ATTACHMENTS) throw new AttachmentError(`At most ${MAX_ATTACHMENTS} attachments per message`);
+
+  const rows = [];
+  for (const [i, a] of list.entries()) {
+    if (!a || typeof a !== 'object') fail(i, 'must be an object');
+    if (!ATTACHMENT_TYPES.includes(a.type)) fail(i, `type must be one of ${ATTACHMENT_TYPES.join(', ')}`);
+
+    if (a.type === 'image') {
+      rows.push({ type: 'image', index: i, url: uploadedUrl(a, i) });
+    } else if (a.type === 'file') {
+      const name = typeof a.name === 'string' ? a.name.trim().slice(0, 255) : '';
+      if (!name) fail(i, 'name is required');
+      rows.push({ type: 'file', index: i, url: uploadedUrl(a, i), name });
+    } else if (a.type === 'location') {
+      const lat = Number(a.lat);
+      const lng = Number(a.lng);
+      if (a.lat == null || !Number.isFinite(lat) || lat < -90 || lat > 90) fail(i, 'lat must be between -90 and 90');
+      if (a.lng == null || !Number.isFinite(lng) || lng < -180 || lng > 180) fail(i, 'lng must be between -180 and 180');
+      const label = typeof a.label === 'string' && a.label.trim() ? a.label.trim().slice(0, 200) : null;
+      rows.push({ type: 'location', lat, lng, label });
+    } else {
+      const propertyId = Number(a.propertyId);
+      if (!Number.isInteger(propertyId) || propertyId <= 0) fail(i, 'propertyId is required');
+      rows.push({ type: 'property', propertyId });
+    }
+  }
+
+  const files = rows.filter((r) => r.type === 'image' || r.type === 'file');
+  if (files.length) {
+    const uploads = await prisma.upload.findMany({
+      where: { url: { in: files.map((r) => r.url) }, driver: getStorage().name },
+    });
+    const byUrl = new Map(uploads.map((u) => [u.url, u]));
+    for (const [i, row] of rows.entries()) {
+      if (row.type === 'image') {
+        rows[i] = uploadedFile(row, byUrl.get(row.url), senderId, IMAGE_MIME_TYPES, MAX_IMAGE_BYTES);
+      } else if (row.type === 'file') {
+        rows[i] = uploadedFile(row, byUrl.get(row.url), senderId, DOCUMENT_MIME_TYPES, MAX_DOCUMENT_BYTES);
+      }
+    }
+  }
+
+  const propertyIds = [...new Set(rows.filter((r) => r.type === 'property').map((r) => r.propertyId))];
+  if (propertyIds.length) {
+    const found = await prisma.property.findMany({
+      where: { id: { in: propertyIds }, hiddenAt: null, status: { in: VISIBLE_STATUSES } },
+      select: { id: true },
+    });
+    const missing = propertyIds.filter((id) => !found.some((p) => p.id === id));
+    if (missing.length) throw new AttachmentError(`Property not found: ${missing.join(', ')}`);
+  }
+  return rows;
+}
+
+// Short text for chat list previews and notifications
+function messagePreview(message) {
+  if (message.deletedAt) return 'Message deleted';
+  if (message.content) return message.content;
+  const first = message.attachments?.[0];
+  if (!first) return '';
+  return { image: 'Photo', file: first.name || 'File', location: 'Location', property: 'Property' }[first.type];
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  AttachmentError,
+  attachmentInclude,
+  prepareAttachments,
+  messagePreview,
+};
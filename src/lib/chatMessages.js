@@ -0,0 +1,236 @@
+const prisma = require('./prisma');
+const { emitToUser, emitToChat, isUserOnline } = require('./realtime');
+const { attachmentInclude, messagePreview } = require('./chatAttachments');
+const { notify } = require('./notifications');
+const { isBlockedBetween, blockedUserIds } = require('./blocks');
+const { releaseUrls } = require('./uploads');
+
+// Message sending, editing, deletion and delivery/read receipts shared by the REST routes and
+// socket handlers. Chats are 1:1, so a message's deliveredAt/readAt describe the recipient.
+
+// `status` is the HTTP status the REST routes answer with
+class MessageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Prisma include for messages returned to clients: attachments plus a short quote of the replied-to message
+const messageInclude = {
+  ...attachmentInclude,
+  replyTo: {
+    select: {
+      id: true,
+      senderId: true,
+      content: true,
+      deletedAt: true,
+      attachments: { take: 1, select: { type: true, name: true } },
+    },
+  },
+};
+
+// Messages `userId` has not deleted for themselves
+function visibleTo(userId) {
+  return { NOT: { deletedFor: { has: userId } } };
+}
+
+function otherParticipant(chat, userId) {
+  return chat.userAId === userId ? chat.userBId : chat.userAId;
+}
+
+// The chat if `userId` takes part in it, else null
+async function findChatForUser(chatId, userId) {
+  if (!chatId) return null;
+  return prisma.chat.findFirst({ where: { id: chatId, OR: [{ userAId: userId }, { userBId: userId }] } });
+}
+
+// Existing chat between two users (scoped to propertyId when given), or a new one.
+// Participants are stored ordered so A/B and B/A never produce two chats.
+async function findOrCreateChat(userId, otherUserId, propertyId = null) {
+  const [a, b] = userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+  const where = propertyId ? { userAId: a, userBId: b, propertyId } : { userAId: a, userBId: b };
+  const chat = await prisma.chat.findFirst({ where });
+  return chat || prisma.chat.create({ data: { userAId: a, userBId: b, propertyId } });
+}
+
+async function unreadCounts(userId) {
+  const blocked = await blockedUserIds(userId);
+  const rows = await prisma.message.groupBy({
+    by: ['chatId'],
+    where: {
+      readAt: null,
+      deletedAt: null,
+      senderId: { not: userId, notIn: blocked },
+      chat: { OR: [{ userAId: userId }, { userBId: userId }] },
+      ...visibleTo(userId),
+    },
+    _count: { _all: true },
+  });
+  const byChat = Object.fromEntries(rows.map((r) => [r.chatId, r._count._all]));
+  const total = rows.reduce((sum, r) => sum + r._count._all, 0);
+  return { total, byChat };
+}
+
+// Push fresh badge numbers to all of a user's devices
+async function pushUnread(userId, chatId) {
+  const { total, byChat } = await unreadCounts(userId);
+  emitToUser(userId, 'unread:update', { chatId, unreadCount: byChat[chatId] || 0, totalUnread: total });
+}
+
+async function markDelivered(messages, deliveredAt = new Date()) {
+  if (!messages.length) return;
+  await prisma.message.updateMany({
+    where: { id: { in: messages.map((m) => m.id) }, deliveredAt: null },
+    data: { deliveredAt },
+  });
+  // One event per sender and chat
+  const groups = new Map();
+  for (const m of messages) {
+    const key = `${m.senderId}:${m.chatId}`;
+    if (!groups.has(key)) groups.set(key, { senderId: m.senderId, chatId: m.chatId, messageIds: [] });
+    groups.get(key).messageIds.push(m.id);
+  }
+  for (const { senderId, chatId, messageIds } of groups.values()) {
+    emitToUser(senderId, 'message:delivered', { chatId, messageIds, deliveredAt });
+  }
+}
+
+// Create a message, broadcast it to the chat room and record delivery if the recipient is online.
+// `attachments` are rows already checked by prepareAttachments(); `replyToId` must be in the same chat.
+async function sendMessage(chat, senderId, content, { attachments = [], replyToId = null } = {}) {
+  const recipientId = otherParticipant(chat, senderId);
+  if (await isBlockedBetween(senderId, recipientId)) throw new MessageError('You cannot message this user', 403);
+  if (replyToId) {
+    const target = await prisma.message.findFirst({ where: { id: replyToId, chatId: chat.id }, select: { id: true } });
+    if (!target) throw new MessageError('Reply target not found');
+  }
+  const msg = await prisma.message.create({
+    data: {
+      chatId: chat.id,
+      senderId,
+      content: content || '',
+      replyToId: replyToId || null,
+      ...(attachments.length ? { attachments: { create: attachments } } : {}),
+    },
+    include: messageInclude,
+  });
+  emitToChat(chat.id, 'message:new', msg);
+  if (await isUserOnline(recipientId)) {
+    msg.deliveredAt = new Date();
+    await markDelivered([msg], msg.deliveredAt);
+  }
+  await pushUnread(recipientId, chat.id);
+  notifyRecipient(recipientId, msg).catch((e) => console.error('chat notification error', e));
+  return msg;
+}
+
+// Push (when offline) / inbox entry for the recipient, per their preferences
+async function notifyRecipient(recipientId, msg) {
+  const sender = await prisma.user.findUnique({ where: { id: msg.senderId }, select: { name: true } });
+  await notify(recipientId, {
+    category: 'chat_message',
+    title: sender?.name || 'New message',
+    body: messagePreview(msg),
+    data: { chatId: msg.chatId, messageId: msg.id },
+  });
+}
+
+// A message in `chat` that `userId` can still see, or a 404 MessageError
+async function findVisibleMessage(chat, userId, messageId) {
+  const msg = await prisma.message.findFirst({ where: { id: messageId, chatId: chat.id, ...visibleTo(userId) } });
+  if (!msg) throw new MessageError('Message not found', 404);
+  return msg;
+}
+
+// Replace the text of one of your own messages and broadcast `message:updated`
+async function editMessage(chat, userId, messageId, content) {
+  const msg = await findVisibleMessage(chat, userId, messageId);
+  if (msg.senderId !== userId) throw new MessageError('You can only edit your own messages', 403);
+  if (msg.deletedAt) throw new MessageError('Message was deleted', 409);
+  const text = typeof content === 'string' ? content : '';
+  if (!text.trim()) {
+    const attachmentCount = await prisma.messageAttachment.count({ where: { messageId } });
+    if (!attachmentCount) throw new MessageError('content is required');
+  }
+  const updated = await prisma.message.update({
+    where: { id: messageId },
+    data: { content: text, editedAt: new Date() },
+    include: messageInclude,
+  });
+  emitToChat(chat.id, 'message:updated', updated);
+  return updated;
+}
+
+// scope 'me' hides the message from your own history (and your other devices);
+// scope 'everyone' (sender only) tombstones it: content and attachments are removed for both sides.
+async function deleteMessage(chat, userId, messageId, scope = 'me') {
+  const msg = await findVisibleMessage(chat, userId, messageId);
+  const payload = { chatId: chat.id, messageId, scope };
+
+  if (scope === 'me') {
+    await prisma.message.update({ where: { id: messageId }, data: { deletedFor: { push: userId } } });
+    emitToUser(userId, 'message:deleted', payload);
+    if (msg.senderId !== userId && !msg.readAt) await pushUnread(userId, chat.id);
+    return payload;
+  }
+
+  if (msg.senderId !== userId) throw new MessageError('You can only delete your own messages for everyone', 403);
+  if (!msg.deletedAt) {
+    const deletedAt = new Date();
+    const attachments = await prisma.messageAttachment.findMany({ where: { messageId }, select: { url: true } });
+    await prisma.$transaction([
+      prisma.messageAttachment.deleteMany({ where: { messageId } }),
+      prisma.message.update({ where: { id: messageId }, data: { content: '', deletedAt } }),
+    ]);
+    // Stored files the sender attached go too, unless something else still uses them
+    releaseUrls(attachments.map((a) => a.url), userId).catch((e) => console.error('attachment cleanup error', e));
+    payload.deletedAt = deletedAt;
+    emitToChat(chat.id, 'message:deleted', payload);
+    if (!msg.readAt) await pushUnread(otherParticipant(chat, userId), chat.id);
+  }
+  return payload;
+}
+
+// Mark the other participant's messages read (all, or up to and including upToMessageId).
+// Resolves to { count, readAt }.
+async function markChatRead(chat, readerId, upToMessageId) {
+  const readAt = new Date();
+  const where = { chatId: chat.id, senderId: { not: readerId }, readAt: null };
+  if (upToMessageId) where.id = { lte: upToMessageId };
+  // Reading implies delivery
+  await prisma.message.updateMany({ where: { ...where, deliveredAt: null }, data: { deliveredAt: readAt } });
+  const { count } = await prisma.message.updateMany({ where, data: { readAt } });
+  if (count) {
+    const senderId = otherParticipant(chat, readerId);
+    const payload = { chatId: chat.id, readerId, upToMessageId: upToMessageId || null, readAt };
+    emitToUser(senderId, 'message:read', payload);
+    emitToChat(chat.id, 'message:read', payload);
+    await pushUnread(readerId, chat.id);
+  }
+  return { count, readAt };
+}
+
+// When a user comes online, everything waiting for them counts as delivered
+async function deliverPending(userId) {
+  const pending = await prisma.message.findMany({
+    where: { deliveredAt: null, senderId: { not: userId }, chat: { OR: [{ userAId: userId }, { userBId: userId }] } },
+    select: { id: true, chatId: true, senderId: true },
+  });
+  await markDelivered(pending);
+}
+
+module.exports = {
+  MessageError,
+  messageInclude,
+  visibleTo,
+  otherParticipant,
+  findChatForUser,
+  findOrCreateChat,
+  unreadCounts,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  markChatRead,
+  deliverPending,
+};
@@ -0,0 +1,150 @@
+// Geo helpers for property map and "near me" queries
+const { Prisma } = require('@prisma/client');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Clustering: points are grouped on a grid whose cells are ~CLUSTER_RADIUS_PX wide at the given zoom
+const TILE_SIZE_PX = 256;
+const CLUSTER_RADIUS_PX = 60;
+const CLUSTER_MAX_ZOOM = 15;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Great-circle distance in km
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Longitude wrapped into -180..180
+function wrapLng(lng) {
+  if (lng >= -180 && lng <= 180) return lng;
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+// Longitude range of a box, wrapped onto the map. Boxes that cross the antimeridian come back
+// with minLng > maxLng; anything 360 degrees or wider covers the whole world.
+function wrapLngRange(minLng, maxLng) {
+  if (maxLng - minLng >= 360) return { minLng: -180, maxLng: 180 };
+  return { minLng: wrapLng(minLng), maxLng: wrapLng(maxLng) };
+}
+
+// Rough lat/lng box around a point, used to narrow the DB query before exact distance filtering
+function boundsAround(lat, lng, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const cosLat = Math.cos(toRad(lat));
+  const dLng = cosLat > 1e-6 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 180;
+  return {
+    minLat: Math.max(-90, lat - dLat),
+    maxLat: Math.min(90, lat + dLat),
+    ...wrapLngRange(lng - dLng, lng + dLng),
+  };
+}
+
+// Parse "minLng,minLat,maxLng,maxLat"; returns null when malformed. Longitudes may run past
+// +/-180 (maps that scroll across the antimeridian) or have minLng > maxLng for a box that crosses it.
+function parseBbox(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map((p) => Number(p.trim()));
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat) return null;
+  if (Math.abs(minLng) > 540 || Math.abs(maxLng) > 540) return null;
+  const lngs = minLng <= maxLng ? wrapLngRange(minLng, maxLng) : { minLng: wrapLng(minLng), maxLng: wrapLng(maxLng) };
+  return { minLat, maxLat, ...lngs };
+}
+
+// A box as one or two boxes that don't cross the antimeridian
+function splitBbox(box) {
+  if (box.minLng <= box.maxLng) return [box];
+  return [
+    { ...box, maxLng: 180 },
+    { ...box, minLng: -180 },
+  ];
+}
+
+// Prisma where fragment for a bbox
+function bboxWhere(box) {
+  const lat = { gte: box.minLat, lte: box.maxLat };
+  const parts = splitBbox(box);
+  if (parts.length === 1) return { lat, lng: { gte: box.minLng, lte: box.maxLng } };
+  return { lat, OR: parts.map((b) => ({ lng: { gte: b.minLng, lte: b.maxLng } })) };
+}
+
+// Same filter as raw SQL, for queries that aggregate in the database
+function bboxSql(box) {
+  const lngs = splitBbox(box).map((b) => Prisma.sql`p."lng" BETWEEN ${b.minLng} AND ${b.maxLng}`);
+  return Prisma.sql`p."lat" BETWEEN ${box.minLat} AND ${box.maxLat} AND (${Prisma.join(lngs, ' OR ')})`;
+}
+
+// Great-circle distance from a point to each row, in km, as a SQL expression
+function distanceSql(lat, lng) {
+  return Prisma.sql`2 * ${EARTH_RADIUS_KM} * asin(least(1, sqrt(
+    power(sin(radians(p."lat" - ${lat}) / 2), 2) +
+    cos(radians(${lat})) * cos(radians(p."lat")) * power(sin(radians(p."lng" - ${lng}) / 2), 2)
+  )))`;
+}
+
+// Width in degrees of a cluster grid cell at a zoom level
+function clusterCellDeg(zoom) {
+  return (360 / (TILE_SIZE_PX * 2 ** zoom)) * CLUSTER_RADIUS_PX;
+}
+
+// Group points into grid clusters. Cells with a single point come back as that point.
+// Returns { clusters: [{ lat, lng, count, bounds }], points: [...] }
+function clusterPoints(points, zoom) {
+  if (zoom >= CLUSTER_MAX_ZOOM) return { clusters: [], points };
+  const cellDeg = clusterCellDeg(zoom);
+  const cells = new Map();
+  for (const p of points) {
+    const key = `${Math.floor(p.lng / cellDeg)}:${Math.floor(p.lat / cellDeg)}`;
+    const cell = cells.get(key);
+    if (cell) cell.push(p);
+    else cells.set(key, [p]);
+  }
+  const clusters = [];
+  const singles = [];
+  for (const members of cells.values()) {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      continue;
+    }
+    let sumLat = 0;
+    let sumLng = 0;
+    const bounds = { minLat: 90, minLng: 180, maxLat: -90, maxLng: -180 };
+    for (const m of members) {
+      sumLat += m.lat;
+      sumLng += m.lng;
+      bounds.minLat = Math.min(bounds.minLat, m.lat);
+      bounds.maxLat = Math.max(bounds.maxLat, m.lat);
+      bounds.minLng = Math.min(bounds.minLng, m.lng);
+      bounds.maxLng = Math.max(bounds.maxLng, m.lng);
+    }
+    clusters.push({
+      lat: sumLat / members.length,
+      lng: sumLng / members.length,
+      count: members.length,
+      bounds,
+    });
+  }
+  return { clusters, points: singles };
+}
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  haversineKm,
+  boundsAround,
+  parseBbox,
+  splitBbox,
+  bboxWhere,
+  bboxSql,
+  distanceSql,
+  clusterCellDeg,
+  clusterPoints,
+};
@@ -0,0 +1,85 @@
+// Minimal iCalendar (RFC 5545) writer for all-day events with optional RRULE and alarms
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RRULE parts for "monthly on day N"; days past the 28th fall back to the month's last day
+// instead of skipping short months (BYSETPOS=-1 picks the latest existing day)
+function monthlyByDay(day) {
+  if (day <= 28) return `BYMONTHDAY=${day}`;
+  const days = [];
+  for (let d = 28; d <= day; d++) days.push(d);
+  return `BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+}
+
+// events: [{ uid, date, summary, description?, rrule?, alarmDays?: number[] }]
+function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bete//Rent Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    const start = new Date(event.date);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(start)}`,
+      `DTEND;VALUE=DATE:${formatDate(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    for (const days of event.alarmDays || []) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        days > 0 ? `TRIGGER:-P${days}D` : 'TRIGGER:PT0S',
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, formatDate, monthlyByDay };
@@ -0,0 +1,89 @@
+const sharp = require('sharp');
+const prisma = require('./prisma');
+const { getStorage } = require('./storage');
+const { releaseUrls } = require('./uploads');
+
+// Photo processing for uploads. Every image is re-encoded into WebP variants; sharp writes no
+// metadata unless asked to, so EXIF (including GPS coordinates) never reaches storage. The EXIF
+// orientation is applied to the pixels first so photos still display the right way up.
+
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+  medium: { width: 1024, height: 1024, fit: 'inside' },
+  full: { width: 2048, height: 2048, fit: 'inside' },
+};
+const VARIANT_MIME_TYPE = 'image/webp';
+
+class ImageError extends Error {}
+
+// { thumbnail, medium, full } -> { buffer, width, height }
+async function renderVariants(input) {
+  let source;
+  try {
+    source = await sharp(input, { failOn: 'error' }).rotate().toBuffer();
+  } catch (e) {
+    throw new ImageError('File is not a readable image');
+  }
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(source)
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: name === 'thumbnail' ? 70 : 82 })
+      .toBuffer({ resolveWithObject: true });
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+  return variants;
+}
+
+// Process one uploaded photo (a multer memory-storage file), store its variants and record them
+// as the owner's uploads. Returns { url, mediumUrl, thumbnailUrl, width, height, size } where url
+// is the full-size variant.
+async function storeImage(ownerId, file) {
+  const variants = await renderVariants(file.buffer);
+  const storage = getStorage();
+  const saved = {};
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      saved[name] = await storage.save(variant.buffer, VARIANT_MIME_TYPE);
+    }
+    await prisma.upload.createMany({
+      data: Object.entries(saved).map(([name, s]) => ({
+        ownerId,
+        driver: storage.name,
+        publicId: s.publicId,
+        url: s.url,
+        resourceType: s.resourceType,
+        mimeType: VARIANT_MIME_TYPE,
+        size: variants[name].buffer.length,
+      })),
+    });
+  } catch (e) {
+    // Don't leave half a set of variants behind
+    for (const s of Object.values(saved)) await storage.remove(s.publicId, s.resourceType).catch(() => {});
+    throw e;
+  }
+  return {
+    url: saved.full.url,
+    publicId: saved.full.publicId,
+    mediumUrl: saved.medium.url,
+    thumbnailUrl: saved.thumbnail.url,
+    width: variants.full.width,
+    height: variants.full.height,
+    size: variants.full.buffer.length,
+  };
+}
+
+// storeImage for a batch; all or nothing, so a bad file doesn't leave the others behind unused
+async function storeImages(ownerId, files) {
+  const stored = [];
+  try {
+    for (const file of files) stored.push(await storeImage(ownerId, file));
+  } catch (e) {
+    const urls = stored.flatMap((img) => [img.url, img.mediumUrl, img.thumbnailUrl]);
+    await releaseUrls(urls, ownerId).catch((err) => console.error('image cleanup error', err));
+    throw e;
+  }
+  return stored;
+}
+
+module.exports = { IMAGE_VARIANTS, VARIANT_MIME_TYPE, ImageError, renderVariants, storeImage, storeImages };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { renderPdf } = require('./pdf');
+const { emitToUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// Lease agreements for rentals. The owner drafts a version from the template, sends it (which
+// freezes the PDF and its hash) and the borrower accepts that exact document. A renewal is a new
+// version on the same rental; accepting it supersedes the previous accepted version.
+
+const LEASE_STATUSES = ['draft', 'sent', 'accepted', 'superseded', 'void'];
+
+const STANDARD_CLAUSES = [
+  {
+    title: 'Use of the property',
+    text: 'The Tenant will use the property as a private residence only and will not sublet or assign it without the written consent of the Landlord.',
+  },
+  {
+    title: 'Payment of rent',
+    text: 'Rent is payable in advance on each due date for the period that follows. Payments are recorded in the rental ledger in the app.',
+  },
+  {
+    title: 'Security deposit',
+    text: 'The deposit is held by the Landlord for the duration of the tenancy and returned within 30 days of the end of the tenancy, less the reasonable cost of repairing damage beyond fair wear and tear and any unpaid rent.',
+  },
+  {
+    title: 'Repairs and maintenance',
+    text: 'The Tenant will keep the property clean and report defects promptly through the maintenance requests in the app. The Landlord is responsible for structural repairs and for keeping supplied installations and appliances in working order.',
+  },
+  {
+    title: 'Access',
+    text: 'The Landlord may enter the property for inspections or repairs at reasonable times after giving the Tenant at least 24 hours notice, except in an emergency.',
+  },
+  {
+    title: 'Ending the tenancy',
+    text: 'Either party may end the tenancy by giving written notice of at least the notice period stated above, subject to the term of this agreement.',
+  },
+];
+
+// Snapshot of everything the document shows. `input` holds the owner's choices; `base` supplies
+// anything they leave out (the draft being edited, or the version being renewed).
+function buildLeaseTerms(rental, input, base = null) {
+  const pick = (key, fallback) => (input[key] !== undefined ? input[key] : base?.[key] ?? fallback);
+  const standard = pick('standardClauses', true);
+  return {
+    property: { id: rental.property.id, title: rental.property.title, location: rental.property.location || null },
+    landlord: { id: rental.property.owner.id, name: rental.property.owner.name, email: rental.property.owner.email },
+    tenant: { id: rental.borrower.id, name: rental.borrower.name, email: rental.borrower.email },
+    rentAmount: Number(pick('rentAmount', rental.rentAmount)),
+    currency: pick('currency', null),
+    billingFrequency: rental.billingFrequency,
+    deposit: Number(pick('deposit', 0)),
+    startDate: new Date(pick('startDate', rental.startDate)).toISOString(),
+    endDate: pick('endDate', null) ? new Date(pick('endDate', null)).toISOString() : null,
+    noticePeriodDays: Number(pick('noticePeriodDays', 30)),
+    standardClauses: Boolean(standard),
+    clauses: pick('clauses', []).map((c) => ({ title: c.title.trim(), text: c.text.trim() })),
+  };
+}
+
+function formatMoney(amount, currency) {
+  const value = Number(amount).toFixed(2);
+  return currency ? `${currency} ${value}` : value;
+}
+
+function formatDay(iso) {
+  return new Date(iso).toISOString().slice(0, 10);
+}
+
+// Text blocks for the PDF writer
+function leaseDocument(lease) {
+  const t = lease.terms;
+  const blocks = [
+    { text: 'Residential Lease Agreement', style: 'title' },
+    { text: `Version ${lease.version}${lease.previousId ? ' (renewal)' : ''} - rental #${lease.rentalId}`, style: 'small' },
+    { text: 'Parties', style: 'heading' },
+    { text: `Landlord: ${t.landlord.name} <${t.landlord.email}>` },
+    { text: `Tenant: ${t.tenant.name} <${t.tenant.email}>` },
+    { text: 'Property', style: 'heading' },
+    { text: [t.property.title, t.property.location].filter(Boolean).join(', ') },
+    { text: 'Term', style: 'heading' },
+    {
+      text: t.endDate
+        ? `From ${formatDay(t.startDate)} to ${formatDay(t.endDate)}.`
+        : `From ${formatDay(t.startDate)}, continuing until ended by either party with notice.`,
+    },
+    { text: `Notice period: ${t.noticePeriodDays} days.` },
+    { text: 'Rent and deposit', style: 'heading' },
+    { text: `Rent: ${formatMoney(t.rentAmount, t.currency)}, payable ${t.billingFrequency}.` },
+    { text: `Security deposit: ${formatMoney(t.deposit, t.currency)}.` },
+  ];
+  const clauses = [...(t.standardClauses ? STANDARD_CLAUSES : []), ...t.clauses];
+  clauses.forEach((c, i) => {
+    blocks.push({ text: `${i + 1}. ${c.title}`, style: 'heading' }, { text: c.text });
+  });
+  blocks.push(
+    { text: 'Acceptance', style: 'heading' },
+    {
+      text:
+        'This agreement is accepted electronically in the app by the Tenant. The acceptance record holds ' +
+        'the time of acceptance and a SHA-256 hash of this document.',
+    }
+  );
+  return blocks;
+}
+
+// PDF bytes for a version (resolves to a Buffer). Drafts are rendered on demand; sent versions
+// use the frozen copy.
+function renderLease(lease) {
+  return renderPdf(leaseDocument(lease), {
+    title: `Lease agreement v${lease.version}`,
+    footer: `Lease agreement - rental #${lease.rentalId} - version ${lease.version}`,
+    createdAt: lease.createdAt,
+  });
+}
+
+function hashDocument(pdf) {
+  return crypto.createHash('sha256').update(pdf).digest('hex');
+}
+
+// Checked at startup too, so a missing secret doesn't surface as a failed accept or verify
+function leaseSigningSecret() {
+  const secret = process.env.LEASE_SIGNING_SECRET;
+  if (!secret) throw new Error('LEASE_SIGNING_SECRET is not set');
+  return secret;
+}
+
+// Binds the accepted document to who accepted it and when. Keyed with LEASE_SIGNING_SECRET so
+// someone with database access can't rewrite an acceptance and recompute a matching hash.
+function acceptanceHash(lease, userId, acceptedAt) {
+  return crypto
+    .createHmac('sha256', leaseSigningSecret())
+    .update(`${lease.id}|${lease.version}|${lease.documentHash}|${userId}|${acceptedAt.toISOString()}`)
+    .digest('hex');
+}
+
+// True when an accepted lease's stored acceptanceHash matches its acceptance record
+function acceptanceMatches(lease) {
+  const expected = Buffer.from(acceptanceHash(lease, lease.acceptedById, lease.acceptedAt), 'hex');
+  const stored = Buffer.from(lease.acceptanceHash || '', 'hex');
+  return stored.length === expected.length && crypto.timingSafeEqual(stored, expected);
+}
+
+// Lease fields returned to clients (the PDF itself is served separately)
+const leaseSelect = {
+  id: true,
+  rentalId: true,
+  version: true,
+  previousId: true,
+  status: true,
+  terms: true,
+  createdById: true,
+  documentHash: true,
+  sentAt: true,
+  acceptedAt: true,
+  acceptedById: true,
+  acceptanceHash: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const LEASE_TITLES = {
+  sent: 'Lease agreement ready to review',
+  accepted: 'Lease agreement accepted',
+  void: 'Lease agreement withdrawn',
+};
+
+async function notifyLease(userId, lease, propertyTitle) {
+  emitToUser(userId, 'lease:update', lease);
+  await notify(userId, {
+    category: 'lease',
+    title: LEASE_TITLES[lease.status],
+    body: `${propertyTitle} - version ${lease.version}`,
+    data: { rentalId: lease.rentalId, leaseId: lease.id, version: lease.version },
+  }).catch((e) => console.error('lease notification error', e));
+}
+
+module.exports = {
+  LEASE_STATUSES,
+  STANDARD_CLAUSES,
+  buildLeaseTerms,
+  renderLease,
+  hashDocument,
+  leaseSigningSecret,
+  acceptanceHash,
+  acceptanceMatches,
+  leaseSelect,
+  notifyLease,
+};
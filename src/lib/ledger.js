@@ -0,0 +1,82 @@
+const { dueDateAt, periodsDueBy } = require('./rentSchedule');
+
+// Rent ledger: every due date from the rental's anchor is a charge of rentAmount, payments are
+// credits. Disputed and voided payments are listed but don't count towards the balance.
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'mobile_money', 'card', 'cheque', 'other'];
+const PAYMENT_STATUSES = ['recorded', 'disputed', 'void'];
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function anchorOf(rental) {
+  return rental.firstDueDate || rental.nextDueDate;
+}
+
+function frequencyOf(rental) {
+  return rental.billingFrequency || 'monthly';
+}
+
+function countedTotal(payments) {
+  return roundMoney(payments.filter((p) => p.status === 'recorded').reduce((sum, p) => sum + p.amount, 0));
+}
+
+// First due date not fully covered by `totalPaid`; partial payments don't advance it
+function nextDueDateFor(rental, totalPaid) {
+  const covered = Math.floor((totalPaid + 0.005) / rental.rentAmount);
+  return dueDateAt(anchorOf(rental), covered, frequencyOf(rental));
+}
+
+function buildStatement(rental, payments, now = new Date()) {
+  const anchor = anchorOf(rental);
+  const frequency = frequencyOf(rental);
+  const until = rental.endedAt && rental.endedAt < now ? rental.endedAt : now;
+  const periodsCharged = periodsDueBy(anchor, until, frequency);
+  const totalCharged = roundMoney(periodsCharged * rental.rentAmount);
+  const totalPaid = countedTotal(payments);
+  const balance = roundMoney(totalCharged - totalPaid);
+  const nextDueDate = nextDueDateFor(rental, totalPaid);
+
+  const entries = [];
+  for (let i = 0; i < periodsCharged; i++) {
+    entries.push({ type: 'charge', date: dueDateAt(anchor, i, frequency), amount: rental.rentAmount });
+  }
+  for (const p of payments) {
+    entries.push({
+      type: 'payment',
+      date: p.paidAt,
+      amount: p.amount,
+      paymentId: p.id,
+      method: p.method,
+      reference: p.reference,
+      status: p.status,
+    });
+  }
+  // Chronological; on the same instant the charge comes first
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date) || (a.type === 'charge' ? -1 : 1));
+  let running = 0;
+  const history = entries.map((e) => {
+    if (e.type === 'charge') running += e.amount;
+    else if (e.status === 'recorded') running -= e.amount;
+    return { ...e, balance: roundMoney(running) };
+  });
+
+  return {
+    rentalId: rental.id,
+    rentAmount: rental.rentAmount,
+    billingFrequency: frequency,
+    periodsCharged,
+    totalCharged,
+    totalPaid,
+    disputedTotal: roundMoney(payments.filter((p) => p.status === 'disputed').reduce((sum, p) => sum + p.amount, 0)),
+    balance,
+    arrears: Math.max(0, balance),
+    credit: Math.max(0, -balance),
+    overdueSince: balance > 0 ? nextDueDate : null,
+    nextDueDate,
+    history,
+  };
+}
+
+module.exports = { PAYMENT_METHODS, PAYMENT_STATUSES, countedTotal, nextDueDateFor, buildStatement };
@@ -0,0 +1,38 @@
+let nodemailer; try { nodemailer = require('nodemailer'); } catch (e) { nodemailer = null; }
+
+let transporter = null;
+
+function isConfigured() {
+  return !!(nodemailer && process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: false,
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    });
+  }
+  return transporter;
+}
+
+// Send an email if SMTP is configured. Resolves to true when sent; never throws.
+async function sendMail({ to, subject, text }) {
+  if (!to || !isConfigured()) return false;
+  try {
+    await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+    });
+    return true;
+  } catch (e) {
+    console.error('Email send error:', e?.message || e);
+    return false;
+  }
+}
+
+module.exports = { isConfigured, sendMail };
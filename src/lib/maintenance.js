@@ -0,0 +1,79 @@
+const { emitToUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// Maintenance tickets raised against a rental. Tenants report problems; the owner acknowledges,
+// schedules and resolves them. Either side can close a ticket, and the tenant can reopen one that
+// was marked resolved. closed is final.
+
+const MAINTENANCE_CATEGORIES = [
+  'plumbing',
+  'electrical',
+  'appliance',
+  'heating_cooling',
+  'structural',
+  'pest',
+  'security',
+  'other',
+];
+const MAINTENANCE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const MAINTENANCE_STATUSES = ['open', 'acknowledged', 'scheduled', 'resolved', 'closed'];
+const MAX_MAINTENANCE_PHOTOS = 10;
+
+// from -> to -> who may make the move ('any' = either participant)
+const TRANSITIONS = {
+  open: { acknowledged: 'owner', scheduled: 'owner', resolved: 'owner', closed: 'any' },
+  acknowledged: { scheduled: 'owner', resolved: 'owner', closed: 'any' },
+  // scheduled -> scheduled moves the appointment
+  scheduled: { scheduled: 'owner', resolved: 'owner', closed: 'any' },
+  resolved: { open: 'tenant', closed: 'any' },
+};
+
+const STATUS_TITLES = {
+  open: 'Maintenance request reopened',
+  acknowledged: 'Maintenance request acknowledged',
+  scheduled: 'Maintenance visit scheduled',
+  resolved: 'Maintenance request resolved',
+  closed: 'Maintenance request closed',
+};
+
+const maintenanceInclude = {
+  reporter: { select: { id: true, name: true, avatarUrl: true } },
+};
+
+const eventInclude = {
+  actor: { select: { id: true, name: true, avatarUrl: true } },
+};
+
+// 'owner' | 'tenant' | 'any' when the move `from` -> `to` is allowed, else null
+function allowedActor(from, to) {
+  return TRANSITIONS[from]?.[to] || null;
+}
+
+// Participants of the rental other than userId
+function otherParties(rental, userId) {
+  return [rental.property.ownerId, rental.borrowerId].filter((id) => id !== userId);
+}
+
+// Socket event plus push/inbox entry for each participant except the actor
+async function notifyMaintenance(rental, actorId, request, { title, body } = {}) {
+  for (const userId of otherParties(rental, actorId)) {
+    emitToUser(userId, 'maintenance:update', request);
+    await notify(userId, {
+      category: 'maintenance',
+      title: title || STATUS_TITLES[request.status],
+      body: body || `${rental.property.title}: ${request.title}`,
+      data: { rentalId: rental.id, maintenanceRequestId: request.id, status: request.status },
+    }).catch((e) => console.error('maintenance notification error', e));
+  }
+}
+
+module.exports = {
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+  MAX_MAINTENANCE_PHOTOS,
+  maintenanceInclude,
+  eventInclude,
+  allowedActor,
+  notifyMaintenance,
+};
@@ -0,0 +1,40 @@
+const prisma = require('./prisma');
+const { revokeUserSessions } = require('./sessions');
+
+// Moderation actions shared by the admin user/property routes and the report queue
+
+const REPORT_TARGETS = ['user', 'message', 'property'];
+const REPORT_REASONS = ['spam', 'scam', 'harassment', 'inappropriate', 'fake_listing', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const REPORT_ACTIONS = ['none', 'hide_property', 'suspend_user'];
+
+// Blocking an account (suspended/banned) signs it out everywhere
+async function setAccountStatus(userId, { status, reason, until }, select) {
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      status,
+      statusReason: status === 'active' ? null : reason || null,
+      suspendedUntil: status === 'suspended' && until ? new Date(until) : null,
+    },
+    select,
+  });
+  if (status !== 'active') await revokeUserSessions(userId);
+  return updated;
+}
+
+function hideProperty(propertyId, reason) {
+  return prisma.property.update({
+    where: { id: propertyId },
+    data: { hiddenAt: new Date(), hiddenReason: reason || null },
+  });
+}
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+  setAccountStatus,
+  hideProperty,
+};
@@ -0,0 +1,131 @@
+const prisma = require('./prisma');
+const { emitToUser, isUserOnline } = require('./realtime');
+const { getPushTransport } = require('./pushTransports');
+
+// Notification service: records events in the user's in-app inbox and, when the user has no
+// live socket, pushes them to their registered devices. Both channels are configurable per
+// category; pushes are held back during the user's quiet hours (the inbox entry still appears).
+
+const NOTIFICATION_CATEGORIES = [
+  'chat_message',
+  'rental_invite',
+  'payment_due',
+  'saved_search_match',
+  'viewing',
+  'application',
+  'maintenance',
+  'lease',
+  'review',
+];
+
+// Chat messages already have their own unread badges, so they skip the inbox by default
+const DEFAULT_PREFERENCES = {
+  chat_message: { push: true, inbox: false },
+  rental_invite: { push: true, inbox: true },
+  payment_due: { push: true, inbox: true },
+  saved_search_match: { push: true, inbox: true },
+  viewing: { push: true, inbox: true },
+  application: { push: true, inbox: true },
+  maintenance: { push: true, inbox: true },
+  lease: { push: true, inbox: true },
+  review: { push: true, inbox: true },
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Stored preferences merged over the defaults
+function resolvePreferences(stored) {
+  const prefs = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    prefs[category] = { ...DEFAULT_PREFERENCES[category], ...(stored?.[category] || {}) };
+  }
+  return prefs;
+}
+
+async function getSettings(userId) {
+  const row = await prisma.notificationSettings.findUnique({ where: { userId } });
+  return {
+    preferences: resolvePreferences(row?.preferences),
+    quietHoursStart: row?.quietHoursStart || null,
+    quietHoursEnd: row?.quietHoursEnd || null,
+    timeZone: row?.timeZone || 'UTC',
+  };
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// True when `now` falls inside start..end in the user's time zone (ranges may wrap past midnight)
+function isQuietHours(settings, now = new Date()) {
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  if (!start || !end || start === end) return false;
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: settings.timeZone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const local = get('hour') * 60 + get('minute');
+  const from = minutesOf(start);
+  const to = minutesOf(end);
+  return from < to ? local >= from && local < to : local >= from || local < to;
+}
+
+async function pushToDevices(userId, { category, title, body, data }) {
+  const devices = await prisma.device.findMany({ where: { userId } });
+  if (!devices.length) return false;
+  const { invalidTokens = [] } = await getPushTransport().send(
+    devices.map((d) => ({ token: d.token, platform: d.platform, title, body, data: { ...data, category } }))
+  );
+  if (invalidTokens.length) await prisma.device.deleteMany({ where: { token: { in: invalidTokens } } });
+  return devices.length > invalidTokens.length;
+}
+
+// Notify one user. Resolves to { notification, pushed }; push failures are logged, never thrown.
+async function notify(userId, { category, title, body, data = {} }, now = new Date()) {
+  if (!NOTIFICATION_CATEGORIES.includes(category)) throw new Error(`Unknown notification category: ${category}`);
+  const settings = await getSettings(userId);
+  const pref = settings.preferences[category];
+
+  let notification = null;
+  if (pref.inbox) {
+    notification = await prisma.notification.create({ data: { userId, category, title, body, data } });
+    emitToUser(userId, 'notification:new', notification);
+  }
+
+  let pushed = false;
+  if (pref.push && !isQuietHours(settings, now) && !(await isUserOnline(userId))) {
+    try {
+      pushed = await pushToDevices(userId, { category, title, body, data });
+      if (pushed && notification) {
+        await prisma.notification.update({ where: { id: notification.id }, data: { pushedAt: now } });
+      }
+    } catch (e) {
+      console.error('Push notification error:', e?.message || e);
+    }
+  }
+  return { notification, pushed };
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  DEFAULT_PREFERENCES,
+  TIME_OF_DAY,
+  isValidTimeZone,
+  resolvePreferences,
+  getSettings,
+  isQuietHours,
+  notify,
+};
@@ -0,0 +1,100 @@
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+
+// PDF rendering for text documents: US Letter pages, word-wrapped paragraphs, page footers.
+// Fonts are embedded (DejaVu Sans, with Noto Sans Ethiopic for Amharic and other Ethiopic text)
+// so names and addresses outside Latin-1 come out as written. Output depends only on the input,
+// so the same document always produces the same bytes (and hash).
+
+const MARGIN = 72;
+
+const FONT_FILES = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+  ethiopic: require.resolve('@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-ethiopic-400-normal.woff'),
+  ethiopicBold: require.resolve('@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-ethiopic-700-normal.woff'),
+};
+// Characters the main font lacks are set in the fallback when it has them
+const FALLBACKS = { regular: 'ethiopic', bold: 'ethiopicBold' };
+
+// size in points, space before the block
+const STYLES = {
+  title: { font: 'bold', size: 16, before: 0 },
+  heading: { font: 'bold', size: 12, before: 14 },
+  body: { font: 'regular', size: 10.5, before: 6 },
+  small: { font: 'regular', size: 8.5, before: 6 },
+};
+
+let coverage = null;
+
+// Fonts are only opened to check which characters they cover
+function covers(font, ch) {
+  if (!coverage) {
+    coverage = Object.fromEntries(Object.entries(FONT_FILES).map(([name, file]) => [name, fontkit.openSync(file)]));
+  }
+  return coverage[font].hasGlyphForCodePoint(ch.codePointAt(0));
+}
+
+// Split text into runs of [font, text], switching to the fallback font where the main one has no glyph
+function fontRuns(text, font) {
+  const runs = [];
+  for (const ch of String(text)) {
+    const use = /\s/.test(ch) || covers(font, ch) || !covers(FALLBACKS[font], ch) ? font : FALLBACKS[font];
+    const last = runs[runs.length - 1];
+    if (last && last[0] === use) last[1] += ch;
+    else runs.push([use, ch]);
+  }
+  return runs;
+}
+
+function writeText(doc, text, font, size, options = {}) {
+  const runs = fontRuns(text, font);
+  if (!runs.length) runs.push([font, '']);
+  runs.forEach(([runFont, chunk], i) => {
+    doc.font(runFont).fontSize(size);
+    const continued = i < runs.length - 1;
+    if (i === 0 && options.x !== undefined) doc.text(chunk, options.x, options.y, { ...options, continued });
+    else doc.text(chunk, { continued });
+  });
+}
+
+// blocks: [{ text, style: 'title' | 'heading' | 'body' | 'small' }]
+// options: { title, footer, createdAt } (createdAt is written to the document info; pass a fixed
+// date to keep the output reproducible). Resolves to a Buffer.
+function renderPdf(blocks, { title = '', footer = '', createdAt = null } = {}) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Producer: 'bete', Creator: 'bete', Title: title, CreationDate: createdAt ? new Date(createdAt) : new Date(0) },
+  });
+  for (const [name, file] of Object.entries(FONT_FILES)) doc.registerFont(name, file);
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  for (const block of blocks) {
+    const style = STYLES[block.style || 'body'];
+    doc.moveDown(style.before / style.size);
+    for (const paragraph of String(block.text).split(/\r?\n/)) {
+      writeText(doc, paragraph, style.font, style.size, { lineGap: style.size * 0.4 });
+    }
+  }
+
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i += 1) {
+    doc.switchToPage(i);
+    // Footers sit in the bottom margin, so don't let them push onto a new page
+    doc.page.margins.bottom = 0;
+    const label = footer ? `${footer} - page ${i + 1} of ${count}` : `Page ${i + 1} of ${count}`;
+    writeText(doc, label, 'regular', 8, { x: MARGIN, y: doc.page.height - MARGIN / 2, lineBreak: false });
+  }
+  doc.end();
+  return done;
+}
+
+module.exports = { renderPdf };
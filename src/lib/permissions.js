@@ -0,0 +1,46 @@
+// Role -> permission mapping. Routes check permissions (can/permit), never role names directly.
+
+const ROLES = ['user', 'landlord', 'agent', 'admin'];
+
+// Anyone can list a few properties and handle their viewings and applications; landlords and agents
+// run a portfolio of listings without that cap (see MAX_PERSONAL_LISTINGS in routes/properties).
+// Anything only staff may do is listed under admin.
+const LISTER_PERMISSIONS = ['properties:portfolio'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  landlord: LISTER_PERMISSIONS,
+  agent: LISTER_PERMISSIONS,
+  admin: [
+    'admin:access',
+    'users:manage',
+    'properties:moderate',
+    'reports:manage',
+    'rentals:view_any',
+    'rentals:manage_any',
+    'reminders:manage_any',
+    'uploads:manage_any',
+  ],
+};
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+function can(user, permission) {
+  if (!user) return false;
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  return granted.includes(permission);
+}
+
+// Owner, borrower, or staff allowed to manage any rental. `rental` must include `property`.
+function canAccessRental(user, rental) {
+  return rental.borrowerId === user.id || rental.property.ownerId === user.id || can(user, 'rentals:manage_any');
+}
+
+// A suspension with an end date lapses on its own
+function isAccountBlocked(account, now = new Date()) {
+  if (account.status === 'banned') return true;
+  if (account.status === 'suspended') return !account.suspendedUntil || account.suspendedUntil > now;
+  return false;
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, ACCOUNT_STATUSES, can, canAccessRental, isAccountBlocked };
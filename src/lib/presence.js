@@ -0,0 +1,111 @@
+const prisma = require('./prisma');
+const { getIo, emitToUser } = require('./realtime');
+const { blockedEitherWay } = require('./blocks');
+
+// Online/offline tracking for users with any number of devices and sockets.
+// Stores answer three questions and can be swapped with setPresenceStore():
+//   connect(userId, socketId)    -> true when this is the user's first live socket
+//   disconnect(userId, socketId) -> true when the user has no live sockets left
+//   isOnline(userId)             -> boolean
+// PRESENCE_ADAPTER=memory (default) keeps counts in this process, which is right for a single
+// instance and for tests. PRESENCE_ADAPTER=socketio asks Socket.IO for the sockets in the
+// `user:<id>` room, so with a shared Socket.IO adapter (e.g. Redis) it sees every instance.
+
+function createMemoryPresenceStore() {
+  const sockets = new Map(); // userId -> Set<socketId>
+  return {
+    async connect(userId, socketId) {
+      if (!sockets.has(userId)) sockets.set(userId, new Set());
+      const set = sockets.get(userId);
+      set.add(socketId);
+      return set.size === 1;
+    },
+    async disconnect(userId, socketId) {
+      const set = sockets.get(userId);
+      if (!set) return true;
+      set.delete(socketId);
+      if (set.size) return false;
+      sockets.delete(userId);
+      return true;
+    },
+    async isOnline(userId) {
+      return sockets.has(userId);
+    },
+  };
+}
+
+// Relies on the socket having joined `user:<id>` before connect() and left it before disconnect()
+function createSocketIoPresenceStore(io = getIo()) {
+  const count = async (userId) => (io ? (await io.in(`user:${userId}`).fetchSockets()).length : 0);
+  return {
+    async connect(userId) {
+      return (await count(userId)) === 1;
+    },
+    async disconnect(userId) {
+      return (await count(userId)) === 0;
+    },
+    async isOnline(userId) {
+      return (await count(userId)) > 0;
+    },
+  };
+}
+
+let store = null;
+
+function getPresenceStore() {
+  if (!store) {
+    store = process.env.PRESENCE_ADAPTER === 'socketio' ? createSocketIoPresenceStore() : createMemoryPresenceStore();
+  }
+  return store;
+}
+
+function setPresenceStore(next) {
+  store = next;
+}
+
+// Users who share at least one chat with userId, minus anyone blocked in either direction
+async function chatCounterparts(userId) {
+  const chats = await prisma.chat.findMany({
+    where: { OR: [{ userAId: userId }, { userBId: userId }] },
+    select: { userAId: true, userBId: true },
+  });
+  const ids = new Set(chats.map((c) => (c.userAId === userId ? c.userBId : c.userAId)));
+  ids.delete(userId);
+  for (const id of await blockedEitherWay(userId)) ids.delete(id);
+  return [...ids];
+}
+
+async function broadcast(userId, payload) {
+  for (const id of await chatCounterparts(userId)) emitToUser(id, 'presence:update', payload);
+}
+
+// Called for every new socket; announces the user once their first device comes online
+async function userConnected(userId, socketId) {
+  if (!(await getPresenceStore().connect(userId, socketId))) return;
+  await broadcast(userId, { userId, online: true, lastSeenAt: null });
+}
+
+// Called when a socket closes; records lastSeenAt once the user's last device has gone
+async function userDisconnected(userId, socketId) {
+  if (!(await getPresenceStore().disconnect(userId, socketId))) return;
+  const lastSeenAt = new Date();
+  await prisma.user.update({ where: { id: userId }, data: { lastSeenAt } });
+  await broadcast(userId, { userId, online: false, lastSeenAt });
+}
+
+// { online, lastSeenAt } for a user (lastSeenAt is null while online)
+async function getPresence(userId, lastSeenAt = null) {
+  const online = await getPresenceStore().isOnline(userId);
+  return { online, lastSeenAt: online ? null : lastSeenAt };
+}
+
+module.exports = {
+  createMemoryPresenceStore,
+  createSocketIoPresenceStore,
+  getPresenceStore,
+  setPresenceStore,
+  chatCounterparts,
+  userConnected,
+  userDisconnected,
+  getPresence,
+};
@@ -0,0 +1,95 @@
+const { VARIANT_MIME_TYPE } = require('./images');
+
+// Property galleries. PropertyImage rows are the source of truth; Property.imageUrl (the cover)
+// and Property.images (gallery order) are kept in step for clients that read the old fields.
+
+const MAX_PROPERTY_IMAGES = Number(process.env.MAX_PROPERTY_IMAGES || 30);
+const MAX_CAPTION_LENGTH = 300;
+
+class GalleryError extends Error {}
+
+const galleryOrder = [{ position: 'asc' }, { id: 'asc' }];
+
+const gallerySelect = {
+  id: true,
+  url: true,
+  mediumUrl: true,
+  thumbnailUrl: true,
+  width: true,
+  height: true,
+  caption: true,
+  position: true,
+  isCover: true,
+};
+
+function variantUrls(image) {
+  return [image.url, image.mediumUrl, image.thumbnailUrl];
+}
+
+// Renumber positions 0..n-1 in the given order, make sure exactly one image is the cover
+// (coverId if given, else the current cover, else the first) and mirror the result onto the
+// property. Returns the gallery.
+async function syncGallery(tx, propertyId, { order = null, coverId = null } = {}) {
+  let rows = await tx.propertyImage.findMany({ where: { propertyId }, orderBy: galleryOrder });
+  if (order) rows = order.map((id) => rows.find((r) => r.id === id));
+  const cover = rows.find((r) => r.id === coverId) || rows.find((r) => r.isCover) || rows[0] || null;
+  for (const [position, row] of rows.entries()) {
+    const isCover = row.id === cover.id;
+    if (row.position !== position || row.isCover !== isCover) {
+      await tx.propertyImage.update({ where: { id: row.id }, data: { position, isCover } });
+    }
+  }
+  await tx.property.update({
+    where: { id: propertyId },
+    data: { imageUrl: cover ? cover.url : null, images: rows.map((r) => r.url) },
+  });
+  return tx.propertyImage.findMany({ where: { propertyId }, orderBy: galleryOrder, select: gallerySelect });
+}
+
+// Make the gallery match a plain list of URLs, as sent by the imageUrl/images fields on create
+// and update. Known URLs keep their variants and captions; new ones must be photos the owner
+// uploaded through /upload/image (so their metadata has been stripped) and become images whose
+// variants are the URL itself, else GalleryError. Returns the URLs of images that were dropped.
+async function replaceGalleryUrls(tx, property, urls, coverUrl = null) {
+  const propertyId = property.id;
+  // Listed order, with a cover that isn't in the list going first
+  const ordered = [...new Set(urls.filter(Boolean))];
+  if (coverUrl && !ordered.includes(coverUrl)) ordered.unshift(coverUrl);
+  const existing = await tx.propertyImage.findMany({ where: { propertyId } });
+  const added = ordered.filter((url) => !existing.some((img) => img.url === url));
+  if (added.length) {
+    const uploads = await tx.upload.findMany({
+      where: { url: { in: added }, ownerId: property.ownerId, mimeType: VARIANT_MIME_TYPE },
+      select: { url: true },
+    });
+    if (uploads.length !== added.length) throw new GalleryError('Images must be photos you uploaded through /upload/image');
+  }
+  const dropped = existing.filter((img) => !ordered.includes(img.url));
+  if (dropped.length) await tx.propertyImage.deleteMany({ where: { id: { in: dropped.map((img) => img.id) } } });
+  const ids = [];
+  for (const url of ordered) {
+    const found = existing.find((img) => img.url === url);
+    if (found) {
+      ids.push(found.id);
+    } else {
+      const created = await tx.propertyImage.create({
+        data: { propertyId, url, mediumUrl: url, thumbnailUrl: url, position: ids.length },
+      });
+      ids.push(created.id);
+    }
+  }
+  const coverId = coverUrl ? ids[ordered.indexOf(coverUrl)] : null;
+  await syncGallery(tx, propertyId, { order: ids, coverId });
+  return dropped.flatMap(variantUrls);
+}
+
+module.exports = {
+  MAX_PROPERTY_IMAGES,
+  MAX_CAPTION_LENGTH,
+  GalleryError,
+  galleryOrder,
+  gallerySelect,
+  variantUrls,
+  syncGallery,
+  replaceGalleryUrls,
+};
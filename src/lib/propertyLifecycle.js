@@ -0,0 +1,62 @@
+// Listing lifecycle: draft -> published -> under_offer -> rented (rent) / sold (sale), and archived
+// for listings taken off the market. Only published listings appear in public list queries.
+
+const PROPERTY_STATUSES = ['draft', 'published', 'under_offer', 'rented', 'sold', 'archived'];
+// Statuses a listing can be viewed on by id (drafts and archived listings are owner-only)
+const VISIBLE_STATUSES = ['published', 'under_offer', 'rented', 'sold'];
+// Statuses that count towards an owner's listings (everything not off the market for good)
+const ACTIVE_LISTING_STATUSES = ['draft', 'published', 'under_offer', 'rented'];
+// Statuses that still accept viewings and applications
+const OPEN_STATUSES = ['published', 'under_offer'];
+
+// Moves an owner may make by hand; rentals drive published/under_offer -> rented and back
+const OWNER_TRANSITIONS = {
+  draft: ['published', 'archived'],
+  published: ['draft', 'under_offer', 'rented', 'sold', 'archived'],
+  under_offer: ['published', 'rented', 'sold', 'archived'],
+  rented: ['published', 'archived'],
+  sold: ['archived'],
+  archived: ['draft', 'published'],
+};
+
+class PropertyTakenError extends Error {}
+
+// Error message when `property` can't move to `to`, else null
+function transitionError(property, to) {
+  if (property.status === to) return `Property is already ${to}`;
+  if (!(OWNER_TRANSITIONS[property.status] || []).includes(to)) return `Cannot move a ${property.status} property to ${to}`;
+  if (to === 'rented' && property.listingType !== 'rent') return 'Only rental listings can be marked rented';
+  if (to === 'sold' && property.listingType !== 'sale') return 'Only sale listings can be marked sold';
+  return null;
+}
+
+function isVisible(property) {
+  return !property.hiddenAt && VISIBLE_STATUSES.includes(property.status);
+}
+
+function isOpen(property) {
+  return !property.hiddenAt && OPEN_STATUSES.includes(property.status);
+}
+
+// Mark an open listing rented inside a transaction. Only one of several concurrent claims for the
+// same listing succeeds; the others throw PropertyTakenError.
+async function claimForRental(tx, propertyId) {
+  const { count } = await tx.property.updateMany({
+    where: { id: propertyId, hiddenAt: null, status: { in: OPEN_STATUSES } },
+    data: { status: 'rented' },
+  });
+  if (count !== 1) throw new PropertyTakenError('Property is no longer available');
+}
+
+module.exports = {
+  PROPERTY_STATUSES,
+  VISIBLE_STATUSES,
+  ACTIVE_LISTING_STATUSES,
+  OPEN_STATUSES,
+  OWNER_TRANSITIONS,
+  PropertyTakenError,
+  transitionError,
+  isVisible,
+  isOpen,
+  claimForRental,
+};
@@ -0,0 +1,112 @@
+// Shared property filter handling for GET /properties (and anything that stores its criteria)
+const { Prisma } = require('@prisma/client');
+const { VISIBLE_STATUSES } = require('./propertyLifecycle');
+
+const LISTING_TYPES = ['rent', 'sale'];
+
+const SORTS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  price_asc: [{ price: 'asc' }, { id: 'asc' }],
+  price_desc: [{ price: 'desc' }, { id: 'desc' }],
+};
+
+const FILTER_KEYS = ['ownerId', 'q', 'listingType', 'minPrice', 'maxPrice', 'minBedrooms', 'minBathrooms', 'location', 'status'];
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function toText(value) {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  return trimmed ? trimmed : undefined;
+}
+
+// Normalise raw query/body values into a filter object, dropping empty and unknown keys
+function parseFilters(src = {}) {
+  const filters = {
+    ownerId: toNumber(src.ownerId),
+    q: toText(src.q),
+    listingType: LISTING_TYPES.includes(src.listingType) ? src.listingType : undefined,
+    minPrice: toNumber(src.minPrice),
+    maxPrice: toNumber(src.maxPrice),
+    minBedrooms: toNumber(src.minBedrooms),
+    minBathrooms: toNumber(src.minBathrooms),
+    location: toText(src.location),
+    status: VISIBLE_STATUSES.includes(src.status) ? src.status : undefined,
+  };
+  for (const key of FILTER_KEYS) {
+    if (filters[key] === undefined) delete filters[key];
+  }
+  return filters;
+}
+
+// Build a Prisma where clause; `omit` skips filters (used for facet counts).
+// Listings hidden by moderators are always excluded, and only published ones are included
+// unless another public status is asked for.
+function buildWhere(filters, { omit = [] } = {}) {
+  const use = (key) => filters[key] !== undefined && !omit.includes(key);
+  const where = { hiddenAt: null, status: filters.status || 'published' };
+  if (use('ownerId')) where.ownerId = filters.ownerId;
+  if (use('q')) where.OR = [
+    { title: { contains: filters.q, mode: 'insensitive' } },
+    { description: { contains: filters.q, mode: 'insensitive' } },
+  ];
+  if (use('listingType')) where.listingType = filters.listingType;
+  if (use('minPrice') || use('maxPrice')) {
+    where.price = {};
+    if (use('minPrice')) where.price.gte = filters.minPrice;
+    if (use('maxPrice')) where.price.lte = filters.maxPrice;
+  }
+  if (use('minBedrooms')) where.bedrooms = { gte: filters.minBedrooms };
+  if (use('minBathrooms')) where.bathrooms = { gte: filters.minBathrooms };
+  if (use('location')) where.location = { contains: filters.location, mode: 'insensitive' };
+  return where;
+}
+
+// buildWhere as a raw SQL condition on "Property" p, for queries that aggregate in the database
+function buildSqlWhere(filters) {
+  const contains = (column, text) => Prisma.sql`strpos(lower(${column}), lower(${text})) > 0`;
+  const parts = [Prisma.sql`p."hiddenAt" IS NULL`, Prisma.sql`p."status" = ${filters.status || 'published'}`];
+  if (filters.ownerId !== undefined) parts.push(Prisma.sql`p."ownerId" = ${filters.ownerId}`);
+  if (filters.q !== undefined) {
+    parts.push(Prisma.sql`(${contains(Prisma.sql`p."title"`, filters.q)} OR ${contains(Prisma.sql`p."description"`, filters.q)})`);
+  }
+  if (filters.listingType !== undefined) parts.push(Prisma.sql`p."listingType" = ${filters.listingType}`);
+  if (filters.minPrice !== undefined) parts.push(Prisma.sql`p."price" >= ${filters.minPrice}`);
+  if (filters.maxPrice !== undefined) parts.push(Prisma.sql`p."price" <= ${filters.maxPrice}`);
+  if (filters.minBedrooms !== undefined) parts.push(Prisma.sql`p."bedrooms" >= ${filters.minBedrooms}`);
+  if (filters.minBathrooms !== undefined) parts.push(Prisma.sql`p."bathrooms" >= ${filters.minBathrooms}`);
+  if (filters.location !== undefined) parts.push(contains(Prisma.sql`p."location"`, filters.location));
+  return Prisma.join(parts, ' AND ');
+}
+
+// Mirrors SQL comparison semantics: NULL never satisfies a range filter
+function atLeast(value, min) {
+  return typeof value === 'number' && value >= min;
+}
+
+function containsText(haystack, needle) {
+  return typeof haystack === 'string' && haystack.toLowerCase().includes(needle.toLowerCase());
+}
+
+// In-memory equivalent of buildWhere, for checking a single property against stored filters
+function matchesFilters(property, filters) {
+  if (property.hiddenAt) return false;
+  if (property.status !== (filters.status || 'published')) return false;
+  if (filters.ownerId !== undefined && property.ownerId !== filters.ownerId) return false;
+  if (filters.q !== undefined && !containsText(property.title, filters.q) && !containsText(property.description, filters.q)) {
+    return false;
+  }
+  if (filters.listingType !== undefined && property.listingType !== filters.listingType) return false;
+  if (filters.minPrice !== undefined && !atLeast(property.price, filters.minPrice)) return false;
+  if (filters.maxPrice !== undefined && !(typeof property.price === 'number' && property.price <= filters.maxPrice)) return false;
+  if (filters.minBedrooms !== undefined && !atLeast(property.bedrooms, filters.minBedrooms)) return false;
+  if (filters.minBathrooms !== undefined && !atLeast(property.bathrooms, filters.minBathrooms)) return false;
+  if (filters.location !== undefined && !containsText(property.location, filters.location)) return false;
+  return true;
+}
+
+module.exports = { LISTING_TYPES, SORTS, FILTER_KEYS, parseFilters, buildWhere, buildSqlWhere, matchesFilters };
@@ -0,0 +1,83 @@
+// Push providers behind one interface so the notification service doesn't care who delivers:
+//   send(messages) -> { invalidTokens: string[] }
+// where each message is { token, platform, title, body, data }. Tokens the provider reports as
+// no longer registered are returned so their Device rows can be dropped.
+// PUSH_TRANSPORT=expo uses the Expo push service. PUSH_TRANSPORT=stub logs what would have been
+// sent, for local development only; the server refuses to start with it in production. Without
+// PUSH_TRANSPORT push is off. Tests build a stub with { record: true } to inspect `sent`.
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_BATCH_SIZE = 100;
+
+function createStubTransport({ log = false, record = false } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(messages) {
+      if (record) sent.push(...messages);
+      if (log) {
+        for (const m of messages) console.log(`[push:stub] ${m.platform} ${m.token.slice(0, 12)}… ${m.title}: ${m.body}`);
+      }
+      return { invalidTokens: [] };
+    },
+  };
+}
+
+// Push turned off: nothing is delivered or kept
+function createDisabledTransport() {
+  return {
+    async send() {
+      return { invalidTokens: [] };
+    },
+  };
+}
+
+function createExpoTransport({ accessToken = process.env.EXPO_ACCESS_TOKEN, fetchImpl = globalThis.fetch } = {}) {
+  return {
+    async send(messages) {
+      const invalidTokens = [];
+      for (let i = 0; i < messages.length; i += EXPO_BATCH_SIZE) {
+        const batch = messages.slice(i, i + EXPO_BATCH_SIZE);
+        const res = await fetchImpl(EXPO_PUSH_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+          },
+          body: JSON.stringify(batch.map((m) => ({ to: m.token, title: m.title, body: m.body, data: m.data, sound: 'default' }))),
+        });
+        if (!res.ok) throw new Error(`Expo push failed with HTTP ${res.status}`);
+        const { data = [] } = await res.json();
+        data.forEach((ticket, j) => {
+          if (ticket.status === 'error' && ticket.details?.error === 'DeviceNotRegistered') invalidTokens.push(batch[j].token);
+        });
+      }
+      return { invalidTokens };
+    },
+  };
+}
+
+let transport = null;
+
+function createConfiguredTransport() {
+  const kind = process.env.PUSH_TRANSPORT;
+  if (kind === 'expo') return createExpoTransport();
+  if (kind === 'stub') {
+    if (process.env.NODE_ENV === 'production') throw new Error('PUSH_TRANSPORT=stub is not allowed in production');
+    return createStubTransport({ log: true });
+  }
+  if (kind) throw new Error(`Unknown PUSH_TRANSPORT: ${kind}`);
+  return createDisabledTransport();
+}
+
+function getPushTransport() {
+  if (!transport) transport = createConfiguredTransport();
+  return transport;
+}
+
+function setPushTransport(next) {
+  transport = next;
+}
+
+module.exports = { createStubTransport, createDisabledTransport, createExpoTransport, getPushTransport, setPushTransport };
@@ -0,0 +1,37 @@
+// Holds the Socket.IO server so routes and background jobs can push events.
+// Emits are no-ops until src/index.js calls setIo().
+
+let io = null;
+
+function setIo(server) {
+  io = server;
+}
+
+function getIo() {
+  return io;
+}
+
+function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(`user:${userId}`).emit(event, payload);
+}
+
+function emitToChat(chatId, event, payload) {
+  if (!io || !chatId) return;
+  io.to(`chat:${chatId}`).emit(event, payload);
+}
+
+// True when the user has at least one connected socket (works across adapters)
+async function isUserOnline(userId) {
+  if (!io || !userId) return false;
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  return sockets.length > 0;
+}
+
+// Drop sockets opened with a session's access token (sockets join `session:<sid>` on connect)
+function disconnectSession(sessionId) {
+  if (!io || !sessionId) return;
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+}
+
+module.exports = { setIo, getIo, emitToUser, emitToChat, isUserOnline, disconnectSession };
@@ -0,0 +1,33 @@
+const { addDays } = require('./rentSchedule');
+
+// Recurrence rules for custom reminders:
+//   monthly: every `interval` months, on `dayOfMonth` (clamped to short months)
+//   weekly:  every `interval` weeks
+// A series ends after `count` occurrences or once the next date would pass `until`.
+
+const RECURRENCE_TYPES = ['monthly', 'weekly'];
+
+function monthlyOn(date, months, dayOfMonth) {
+  const d = new Date(date);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1,
+    d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds()));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return target;
+}
+
+// Next due date after `reminder.dueDate`, or null when the reminder doesn't recur or the
+// series is over. `occurrenceIndex` is the 0-based number of the current occurrence.
+function nextOccurrence(reminder) {
+  if (!reminder.recurrenceType) return null;
+  const interval = reminder.recurrenceInterval || 1;
+  if (reminder.recurrenceCount && reminder.occurrenceIndex + 1 >= reminder.recurrenceCount) return null;
+  const next =
+    reminder.recurrenceType === 'weekly'
+      ? addDays(reminder.dueDate, 7 * interval)
+      : monthlyOn(reminder.dueDate, interval, reminder.recurrenceDay || new Date(reminder.dueDate).getUTCDate());
+  if (reminder.recurrenceUntil && next > new Date(reminder.recurrenceUntil)) return null;
+  return next;
+}
+
+module.exports = { RECURRENCE_TYPES, nextOccurrence };
@@ -0,0 +1,47 @@
+// Rent due-date arithmetic. Due dates are always computed from the rental's first due date
+// (the anchor) so month-end dates don't drift (Jan 31 -> Feb 28 -> Mar 31).
+
+const BILLING_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+// The n-th due date (0-based) counting from the anchor
+function dueDateAt(anchor, n, frequency = 'monthly') {
+  if (frequency === 'weekly') return addDays(anchor, 7 * n);
+  if (frequency === 'quarterly') return addMonths(anchor, 3 * n);
+  return addMonths(anchor, n);
+}
+
+// Number of due dates from the anchor that fall on or before `until`
+function periodsDueBy(anchor, until, frequency = 'monthly') {
+  if (new Date(anchor) > until) return 0;
+  let n = 0;
+  while (dueDateAt(anchor, n, frequency) <= until) n += 1;
+  return n;
+}
+
+// Due dates from `from` (inclusive, itself a due date) up to `until`
+function dueDatesBetween(anchor, from, until, frequency = 'monthly') {
+  const dates = [];
+  let n = periodsDueBy(anchor, new Date(new Date(from).getTime() - 1), frequency);
+  for (let d = dueDateAt(anchor, n, frequency); d <= until; d = dueDateAt(anchor, ++n, frequency)) {
+    dates.push(d);
+  }
+  return dates;
+}
+
+module.exports = { BILLING_FREQUENCIES, DAY_MS, addMonths, addDays, dueDateAt, periodsDueBy, dueDatesBetween };
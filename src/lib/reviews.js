@@ -0,0 +1,95 @@
+const prisma = require('./prisma');
+const { emitToUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// Two-sided reviews after a rental has ended. Each side reviews the other once, within
+// REVIEW_WINDOW_DAYS of the end. Reviews stay hidden until both sides have submitted (publishedAt)
+// or the window closes, so neither side can react to what the other wrote.
+
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS || 14);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Star dimensions (1-5) rated by each side
+const REVIEW_DIMENSIONS = {
+  tenant_to_owner: ['accuracy', 'condition', 'communication', 'value'],
+  owner_to_tenant: ['payments', 'property_care', 'communication'],
+};
+
+const reviewSelect = {
+  id: true,
+  rentalId: true,
+  propertyId: true,
+  direction: true,
+  ratings: true,
+  rating: true,
+  comment: true,
+  response: true,
+  respondedAt: true,
+  createdAt: true,
+  author: { select: { id: true, name: true, avatarUrl: true } },
+};
+
+function windowClosesAt(rental) {
+  return rental.endedAt ? new Date(rental.endedAt.getTime() + REVIEW_WINDOW_DAYS * DAY_MS) : null;
+}
+
+// Prisma filter for reviews anyone may read
+function publicReviewWhere(now = new Date()) {
+  const closedBefore = new Date(now.getTime() - REVIEW_WINDOW_DAYS * DAY_MS);
+  return { OR: [{ publishedAt: { not: null } }, { rental: { endedAt: { lt: closedBefore } } }] };
+}
+
+// Validate { dimension: stars } for a direction; returns an error message or null
+function ratingsError(direction, ratings) {
+  if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings)) return 'ratings must be an object';
+  const dimensions = REVIEW_DIMENSIONS[direction];
+  const unknown = Object.keys(ratings).filter((d) => !dimensions.includes(d));
+  if (unknown.length) return `Unknown rating dimensions: ${unknown.join(', ')}`;
+  for (const d of dimensions) {
+    if (!Number.isInteger(ratings[d]) || ratings[d] < 1 || ratings[d] > 5) return `ratings.${d} must be 1-5`;
+  }
+  return null;
+}
+
+function meanRating(ratings) {
+  const values = Object.values(ratings);
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100;
+}
+
+// { count, average, dimensions: { name: average } } over the public reviews matching `where`
+async function ratingSummary(where, direction) {
+  const rows = await prisma.review.findMany({
+    where: { AND: [where, { direction }, publicReviewWhere()] },
+    select: { rating: true, ratings: true },
+  });
+  const round = (n) => Math.round(n * 100) / 100;
+  const dimensions = {};
+  for (const d of REVIEW_DIMENSIONS[direction]) {
+    const values = rows.map((r) => r.ratings?.[d]).filter((v) => typeof v === 'number');
+    dimensions[d] = values.length ? round(values.reduce((s, v) => s + v, 0) / values.length) : null;
+  }
+  return {
+    count: rows.length,
+    average: rows.length ? round(rows.reduce((s, r) => s + r.rating, 0) / rows.length) : null,
+    dimensions,
+  };
+}
+
+async function notifyReview(userId, title, body, data) {
+  emitToUser(userId, 'review:update', data);
+  await notify(userId, { category: 'review', title, body, data }).catch((e) =>
+    console.error('review notification error', e)
+  );
+}
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  REVIEW_DIMENSIONS,
+  reviewSelect,
+  windowClosesAt,
+  publicReviewWhere,
+  ratingsError,
+  meanRating,
+  ratingSummary,
+  notifyReview,
+};
@@ -0,0 +1,92 @@
+const prisma = require('./prisma');
+const { emitToUser } = require('./realtime');
+const { sendMail } = require('./mailer');
+const { notify } = require('./notifications');
+const { parseFilters, matchesFilters } = require('./propertySearch');
+
+// Matches for users who opted into email are batched for this long, then sent as one digest.
+// Pending matches are stored as SavedSearchDigestEntry rows and sent by jobs/savedSearchDigestSender.
+const DIGEST_DELAY_MS = Number(process.env.SAVED_SEARCH_DIGEST_MS || 15 * 60 * 1000);
+
+function formatDigest(entries) {
+  const lines = entries.map(({ searchName, property }) => {
+    const where = property.location ? ` in ${property.location}` : '';
+    return `- [${searchName}] ${property.title}${where} - ${property.price} (${property.listingType})`;
+  });
+  return `New listings matching your saved searches:\n\n${lines.join('\n')}`;
+}
+
+// Send a user's pending digest entries as one email. Entries are claimed (sentAt) before sending
+// so two instances never mail the same match. Resolves to the number of entries sent.
+async function flushDigest(userId, now = new Date()) {
+  const claimed = await prisma.savedSearchDigestEntry.updateMany({
+    where: { userId, sentAt: null, createdAt: { lte: now } },
+    data: { sentAt: now },
+  });
+  if (!claimed.count) return 0;
+  const entries = await prisma.savedSearchDigestEntry.findMany({
+    where: { userId, sentAt: now },
+    orderBy: { id: 'asc' },
+    include: {
+      savedSearch: { select: { name: true } },
+      property: true,
+      user: { select: { email: true } },
+    },
+  });
+  if (!entries.length) return 0;
+  await sendMail({
+    to: entries[0].user.email,
+    subject: `Bete: ${entries.length} new listing${entries.length === 1 ? '' : 's'} for your searches`,
+    text: formatDigest(entries.map((e) => ({ searchName: e.savedSearch.name, property: e.property }))),
+  });
+  return entries.length;
+}
+
+// Saved searches that could match a property, narrowed in SQL on listing type and price
+// (the full check is matchesFilters). Filters are stored as parseFilters output.
+async function candidateSearchIds(property) {
+  const rows = await prisma.$queryRaw`
+    SELECT s."id" FROM "SavedSearch" s
+    WHERE s."userId" <> ${property.ownerId}
+      AND (s."filters"->'listingType' IS NULL OR s."filters"->>'listingType' = ${property.listingType})
+      AND CASE WHEN jsonb_typeof(s."filters"->'minPrice') = 'number'
+        THEN (s."filters"->>'minPrice')::float8 <= ${property.price} ELSE true END
+      AND CASE WHEN jsonb_typeof(s."filters"->'maxPrice') = 'number'
+        THEN (s."filters"->>'maxPrice')::float8 >= ${property.price} ELSE true END
+  `;
+  return rows.map((r) => r.id);
+}
+
+// Notify every user (other than the owner) whose saved search matches a newly created property.
+// Resolves to the number of matching saved searches.
+async function notifySavedSearchMatches(property) {
+  const ids = await candidateSearchIds(property);
+  if (!ids.length) return 0;
+  const searches = await prisma.savedSearch.findMany({ where: { id: { in: ids } } });
+  const matched = searches.filter((s) => matchesFilters(property, parseFilters(s.filters || {})));
+  if (!matched.length) return 0;
+
+  for (const s of matched) {
+    emitToUser(s.userId, 'savedSearch:match', { savedSearchId: s.id, name: s.name, property });
+    await notify(s.userId, {
+      category: 'saved_search_match',
+      title: `New match for "${s.name}"`,
+      body: `${property.title}${property.location ? ` in ${property.location}` : ''} - ${property.price}`,
+      data: { savedSearchId: s.id, propertyId: property.id },
+    }).catch((e) => console.error('saved search notification error', e));
+  }
+  const digests = matched.filter((s) => s.emailDigest);
+  if (digests.length) {
+    await prisma.savedSearchDigestEntry.createMany({
+      data: digests.map((s) => ({ savedSearchId: s.id, userId: s.userId, propertyId: property.id })),
+      skipDuplicates: true,
+    });
+  }
+  await prisma.savedSearch.updateMany({
+    where: { id: { in: matched.map((s) => s.id) } },
+    data: { lastMatchedAt: new Date() },
+  });
+  return matched.length;
+}
+
+module.exports = { DIGEST_DELAY_MS, notifySavedSearchMatches, flushDigest };
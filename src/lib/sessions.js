@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const { disconnectSession } = require('./realtime');
+const { isAccountBlocked } = require('./permissions');
+
+// Access tokens are short-lived JWTs carrying the session id (sid); refresh tokens are opaque,
+// stored hashed on the Session row and rotated on every use.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// `code` is set when the account itself is blocked (403) rather than the token being bad (401)
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function assertAccountActive(user) {
+  if (isAccountBlocked(user)) {
+    throw new SessionError(
+      user.status === 'banned' ? 'Account banned' : 'Account suspended',
+      user.status === 'banned' ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED'
+    );
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function tokenResponse(user, session, refreshToken) {
+  const token = signAccessToken(user, session.id);
+  const { exp } = jwt.decode(token);
+  return { token, refreshToken, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Client description stored on the session for the device list
+function deviceInfo(req) {
+  return {
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : null,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+    ip: req.ip || null,
+  };
+}
+
+// Start a new session for a user who just authenticated
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(),
+      ...deviceInfo(req),
+    },
+  });
+  return tokenResponse(user, session, refreshToken);
+}
+
+// Exchange a refresh token for a new access/refresh pair. Presenting an already-rotated
+// token means it leaked, so the whole session is revoked.
+async function rotateSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({ where: { refreshTokenHash: hash }, include: { user: true } });
+  if (!session) {
+    const reused = await prisma.session.findFirst({ where: { previousTokenHash: hash, revokedAt: null } });
+    if (reused) await revokeSession(reused.id);
+    throw new SessionError('Invalid refresh token');
+  }
+  if (session.revokedAt || session.expiresAt.getTime() < Date.now()) {
+    throw new SessionError('Session expired');
+  }
+  assertAccountActive(session.user);
+  const next = newRefreshToken();
+  // Only one of two concurrent refreshes with the same token can rotate it; the loser is reuse
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(next),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+  });
+  if (count !== 1) {
+    await revokeSession(session.id);
+    throw new SessionError('Invalid refresh token');
+  }
+  return tokenResponse(session.user, session, next);
+}
+
+async function revokeSession(sessionId) {
+  await prisma.session.updateMany({ where: { id: sessionId, revokedAt: null }, data: { revokedAt: new Date() } });
+  disconnectSession(sessionId);
+}
+
+// Revoke every live session of a user, optionally keeping one (e.g. the caller's)
+async function revokeUserSessions(userId, { exceptId } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptId) where.id = { not: exceptId };
+  const live = await prisma.session.findMany({ where, select: { id: true } });
+  if (!live.length) return 0;
+  await prisma.session.updateMany({ where: { id: { in: live.map((s) => s.id) } }, data: { revokedAt: new Date() } });
+  live.forEach((s) => disconnectSession(s.id));
+  return live.length;
+}
+
+// Verify an access token and check its session and account are still live. Role comes from
+// the database so role changes apply immediately. Resolves to { id, role, sid, emailVerified }.
+async function verifyAccessToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (!payload.sid) throw new SessionError('Invalid token');
+  const session = await prisma.session.findUnique({
+    where: { id: payload.sid },
+    select: {
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      user: { select: { role: true, status: true, suspendedUntil: true, emailVerifiedAt: true } },
+    },
+  });
+  if (!session || session.userId !== payload.id || session.revokedAt || session.expiresAt.getTime() < Date.now()) {
+    throw new SessionError('Session revoked');
+  }
+  assertAccountActive(session.user);
+  return { id: payload.id, role: session.user.role, sid: payload.sid, emailVerified: !!session.user.emailVerifiedAt };
+}
+
+module.exports = {
+  SessionError,
+  assertAccountActive,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+};
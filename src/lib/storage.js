@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+
+// Where uploaded files live, behind one interface so routes don't care:
+//   engine(kind)                     -> multer StorageEngine for 'document' uploads
+//   describe(file)                   -> { url, publicId, resourceType } for a stored multer file
+//   save(buffer, mimeType)           -> { url, publicId, resourceType } for bytes produced by the
+//                                       server, e.g. processed image variants (see lib/images)
+//   remove(publicId, resourceType)   -> deletes the stored file (missing files are not an error)
+//   ownsUrl(url)                     -> true for URLs this backend serves
+//   serve                            -> optional { path, handler } the app mounts to serve files
+// STORAGE_DRIVER=cloudinary or local picks one; by default Cloudinary is used when
+// CLOUDINARY_CLOUD_NAME is set and local disk otherwise, so development needs no cloud account.
+
+const IMAGE_FOLDER = 'BeteAppImages';
+const DOCUMENT_FOLDER = 'BeteAppDocuments';
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'text/plain': '.txt',
+};
+
+const isImage = (mimeType) => mimeType.startsWith('image/');
+
+function createCloudinaryStorage({ cloudinary = require('../config/cloudinary') } = {}) {
+  const { CloudinaryStorage } = require('multer-storage-cloudinary');
+  const engines = {
+    // Documents keep their original bytes; non-images are stored as raw files
+    document: new CloudinaryStorage({
+      cloudinary,
+      params: async (req, file) => ({
+        folder: DOCUMENT_FOLDER,
+        resource_type: isImage(file.mimetype) ? 'image' : 'raw',
+      }),
+    }),
+  };
+  return {
+    name: 'cloudinary',
+    engine(kind) {
+      return engines[kind];
+    },
+    // multer-storage-cloudinary sets the hosted file URL on file.path and the public_id on file.filename
+    describe(file) {
+      return { url: file.path, publicId: file.filename, resourceType: isImage(file.mimetype) ? 'image' : 'raw' };
+    },
+    save(buffer, mimeType) {
+      const resourceType = isImage(mimeType) ? 'image' : 'raw';
+      const folder = resourceType === 'image' ? IMAGE_FOLDER : DOCUMENT_FOLDER;
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader
+          .upload_stream({ folder, resource_type: resourceType }, (err, result) => {
+            if (err) return reject(err);
+            return resolve({ url: result.secure_url, publicId: result.public_id, resourceType });
+          })
+          .end(buffer);
+      });
+    },
+    async remove(publicId, resourceType = 'image') {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+    },
+    ownsUrl(url) {
+      if (typeof url !== 'string') return false;
+      const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+      if (!cloud) return /^https?:\/\//.test(url);
+      return url.startsWith(`https://res.cloudinary.com/${cloud}/`) || url.startsWith(`http://res.cloudinary.com/${cloud}/`);
+    },
+  };
+}
+
+// Files under `root` (UPLOAD_DIR, default ./uploads), served by the app at /uploads under
+// PUBLIC_URL. publicIds are paths relative to root, e.g. images/3f9c….jpg
+function createLocalStorage({
+  root = path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+  publicPath = '/uploads',
+  publicUrl = process.env.PUBLIC_URL,
+} = {}) {
+  // URLs are never built from the request's Host header, which the client controls
+  if (!publicUrl) throw new Error('PUBLIC_URL must be set to use local upload storage');
+  const base = new URL(`${publicUrl.replace(/\/+$/, '')}${publicPath}/`).href;
+  const newName = (ext) => `${crypto.randomBytes(16).toString('hex')}${ext}`;
+  const engines = {
+    document: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(root, 'documents');
+        fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+      },
+      filename: (req, file, cb) => {
+        cb(null, newName(MIME_EXTENSIONS[file.mimetype] || path.extname(file.originalname).toLowerCase()));
+      },
+    }),
+  };
+  const urlFor = (publicId) => `${base}${publicId}`;
+
+  // Resolve a publicId to a path, refusing anything that would escape root
+  function fileFor(publicId) {
+    const file = path.resolve(root, publicId);
+    return file.startsWith(root + path.sep) ? file : null;
+  }
+
+  return {
+    name: 'local',
+    root,
+    engine(kind) {
+      return engines[kind];
+    },
+    describe(file) {
+      const publicId = path.relative(root, file.path).split(path.sep).join('/');
+      return { url: urlFor(publicId), publicId, resourceType: isImage(file.mimetype) ? 'image' : 'raw' };
+    },
+    async save(buffer, mimeType) {
+      const resourceType = isImage(mimeType) ? 'image' : 'raw';
+      const folder = resourceType === 'image' ? 'images' : 'documents';
+      await fs.promises.mkdir(path.join(root, folder), { recursive: true });
+      const publicId = `${folder}/${newName(MIME_EXTENSIONS[mimeType] || '')}`;
+      await fs.promises.writeFile(path.join(root, publicId), buffer);
+      return { url: urlFor(publicId), publicId, resourceType };
+    },
+    async remove(publicId) {
+      const file = fileFor(publicId);
+      if (!file) return;
+      try {
+        await fs.promises.unlink(file);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    },
+    ownsUrl(url) {
+      if (typeof url !== 'string') return false;
+      try {
+        return new URL(url).href.startsWith(base);
+      } catch (e) {
+        return false;
+      }
+    },
+    serve: {
+      path: publicPath,
+      // nosniff so uploaded files are only ever treated as the type they were stored as
+      handler: express.static(root, {
+        index: false,
+        setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+      }),
+    },
+  };
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+    storage = driver === 'cloudinary' ? createCloudinaryStorage() : createLocalStorage();
+  }
+  return storage;
+}
+
+function setStorage(next) {
+  storage = next;
+}
+
+// multer StorageEngine that defers to whichever driver is current when the request arrives
+function storageEngine(kind) {
+  return {
+    _handleFile(req, file, cb) {
+      getStorage().engine(kind)._handleFile(req, file, cb);
+    },
+    _removeFile(req, file, cb) {
+      getStorage().engine(kind)._removeFile(req, file, cb);
+    },
+  };
+}
+
+module.exports = { createCloudinaryStorage, createLocalStorage, getStorage, setStorage, storageEngine };
@@ -0,0 +1,52 @@
+const prisma = require('./prisma');
+const { getStorage } = require('./storage');
+
+// Bookkeeping for stored files: who uploaded what, whether anything still points at it, and
+// removing files that are no longer used.
+
+// Save the Upload row for a file multer has just stored
+async function recordUpload(ownerId, file) {
+  const storage = getStorage();
+  const { url, publicId, resourceType } = storage.describe(file);
+  return prisma.upload.create({
+    data: { ownerId, driver: storage.name, publicId, url, resourceType, mimeType: file.mimetype, size: file.size ?? null },
+  });
+}
+
+// True while a listing, chat attachment, maintenance ticket or avatar still uses the URL
+async function isReferenced(url) {
+  const counts = await Promise.all([
+    prisma.property.count({ where: { OR: [{ imageUrl: url }, { images: { has: url } }] } }),
+    prisma.propertyImage.count({ where: { OR: [{ url }, { mediumUrl: url }, { thumbnailUrl: url }] } }),
+    prisma.messageAttachment.count({ where: { url } }),
+    prisma.maintenanceRequest.count({ where: { photos: { has: url } } }),
+    prisma.maintenanceEvent.count({ where: { photos: { has: url } } }),
+    prisma.user.count({ where: { avatarUrl: url } }),
+  ]);
+  return counts.some((n) => n > 0);
+}
+
+// Delete the stored file and its row
+async function removeUpload(upload) {
+  await getStorage().remove(upload.publicId, upload.resourceType);
+  await prisma.upload.delete({ where: { id: upload.id } });
+}
+
+// Remove files that `ownerId` uploaded and that nothing references any more, e.g. images dropped
+// from a listing. URLs that aren't ours or belong to someone else are left alone.
+async function releaseUrls(urls, ownerId) {
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (!unique.length) return 0;
+  const uploads = await prisma.upload.findMany({
+    where: { url: { in: unique }, ownerId, driver: getStorage().name },
+  });
+  let removed = 0;
+  for (const upload of uploads) {
+    if (await isReferenced(upload.url)) continue;
+    await removeUpload(upload);
+    removed += 1;
+  }
+  return removed;
+}
+
+module.exports = { recordUpload, isReferenced, removeUpload, releaseUrls };
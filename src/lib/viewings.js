@@ -0,0 +1,73 @@
+const prisma = require('./prisma');
+const { emitToUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// Viewing appointments. A slot is held by at most one active viewing: booking claims it by
+// setting ViewingSlot.bookedAt only where it is still null, and cancelling releases it.
+
+const VIEWING_STATUSES = ['requested', 'confirmed', 'cancelled', 'completed'];
+const ACTIVE_VIEWING_STATUSES = ['requested', 'confirmed'];
+const MAX_SLOT_MINUTES = 4 * 60;
+
+class SlotUnavailableError extends Error {}
+// The viewing changed between reading it and updating it (e.g. confirmed and cancelled at once)
+class ViewingChangedError extends Error {}
+
+const viewingInclude = {
+  slot: { select: { id: true, startsAt: true, endsAt: true } },
+  property: { select: { id: true, title: true, imageUrl: true, location: true, ownerId: true } },
+  renter: { select: { id: true, name: true, avatarUrl: true } },
+};
+
+// Claim a free future slot of the property inside a transaction, or throw SlotUnavailableError
+async function claimSlot(tx, propertyId, slotId, now = new Date()) {
+  const { count } = await tx.viewingSlot.updateMany({
+    where: { id: slotId, propertyId, bookedAt: null, startsAt: { gt: now } },
+    data: { bookedAt: now },
+  });
+  if (count !== 1) throw new SlotUnavailableError('This slot is no longer available');
+}
+
+// Update a viewing inside a transaction only if it is still in the status and slot it was read
+// with; otherwise throw ViewingChangedError so the transaction rolls back
+async function transitionViewing(tx, viewing, data) {
+  const { count } = await tx.viewing.updateMany({
+    where: { id: viewing.id, status: viewing.status, slotId: viewing.slotId },
+    data,
+  });
+  if (count !== 1) throw new ViewingChangedError('Viewing was changed by someone else, reload and try again');
+  return tx.viewing.findUnique({ where: { id: viewing.id }, include: viewingInclude });
+}
+
+function releaseSlot(tx, slotId) {
+  return tx.viewingSlot.update({ where: { id: slotId }, data: { bookedAt: null } });
+}
+
+function formatSlot(slot) {
+  return new Date(slot.startsAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+// Tell one party about a change: socket event plus push/inbox notification
+async function notifyViewing(userId, viewing, title) {
+  emitToUser(userId, 'viewing:update', viewing);
+  await notify(userId, {
+    category: 'viewing',
+    title,
+    body: `${viewing.property.title} - ${formatSlot(viewing.slot)}`,
+    data: { viewingId: viewing.id, propertyId: viewing.propertyId, chatId: viewing.chatId },
+  }).catch((e) => console.error('viewing notification error', e));
+}
+
+module.exports = {
+  VIEWING_STATUSES,
+  ACTIVE_VIEWING_STATUSES,
+  MAX_SLOT_MINUTES,
+  SlotUnavailableError,
+  ViewingChangedError,
+  viewingInclude,
+  claimSlot,
+  transitionViewing,
+  releaseSlot,
+  formatSlot,
+  notifyViewing,
+};
@@ -1,20 +1,24 @@
-const jwt = require('jsonwebtoken');
+const { SessionError, verifyAccessToken } = require('../lib/sessions');
 
+// requiredRole may be a role name or an array of accepted roles
 function auth(requiredRole) {
-  return (req, res, next) => {
+  const roles = requiredRole ? [].concat(requiredRole) : null;
+  return async (req, res, next) => {
     try {
       const header = req.headers.authorization || '';
       const token = header.startsWith('Bearer ') ? header.slice(7) : null;
       if (!token) return res.status(401).json({ error: 'Missing token' });
 
-      const payload = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = payload; // { id, role }
+      // Rejects expired tokens, revoked sessions and suspended/banned accounts
+      const payload = await verifyAccessToken(token);
+      req.user = payload; // { id, role, sid, emailVerified }
 
-      if (requiredRole && payload.role !== requiredRole) {
+      if (roles && !roles.includes(payload.role)) {
         return res.status(403).json({ error: 'Forbidden' });
       }
       return next();
     } catch (e) {
+      if (e instanceof SessionError && e.code) return res.status(403).json({ error: e.message, code: e.code });
       return res.status(401).json({ error: 'Invalid token' });
     }
   };
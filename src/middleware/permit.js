@@ -0,0 +1,11 @@
+const { can } = require('../lib/permissions');
+
+// Use after auth(): requires the caller's role to grant `permission`
+function permit(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) return res.status(403).json({ error: 'Forbidden' });
+    return next();
+  };
+}
+
+module.exports = permit;
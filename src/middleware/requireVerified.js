@@ -0,0 +1,9 @@
+// Use after auth(): blocks accounts that haven't confirmed their email yet
+function requireVerified(req, res, next) {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+  }
+  return next();
+}
+
+module.exports = requireVerified;
@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { ROLES, ACCOUNT_STATUSES } = require('../lib/permissions');
+const {
+  REPORT_TARGETS,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+  setAccountStatus,
+  hideProperty,
+} = require('../lib/moderation');
+
+const router = express.Router();
+
+// Every admin route needs an authenticated staff account
+router.use(auth(), permit('admin:access'));
+
+const USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  avatarUrl: true,
+  emailVerifiedAt: true,
+  createdAt: true,
+};
+
+// ----- Users -----
+
+// List/search users: q (name or email), role, status, cursor, limit
+router.get(
+  '/users',
+  permit('users:manage'),
+  [
+    query('role').optional().isIn(ROLES),
+    query('status').optional().isIn(ACCOUNT_STATUSES),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('cursor').optional().isInt({ gt: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { q, role, status } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    try {
+      const where = {};
+      if (role) where.role = role;
+      if (status) where.status = status;
+      if (q) where.OR = [
+        { name: { contains: q, mode: 'insensitive' } },
+        { email: { contains: q, mode: 'insensitive' } },
+      ];
+      const rows = await prisma.user.findMany({
+        where,
+        select: USER_SELECT,
+        orderBy: { id: 'desc' },
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.json({ items, nextCursor: hasMore ? items[items.length - 1].id : null });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list users' });
+    }
+  }
+);
+
+// User detail with activity counts
+router.get('/users/:id', permit('users:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { ...USER_SELECT, _count: { select: { properties: true, rentals: true, sessions: true } } },
+    });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json(user);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', permit('users:manage'), [body('role').isIn(ROLES)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  if (id === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+  try {
+    const existing = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) return res.status(404).json({ error: 'User not found' });
+    const updated = await prisma.user.update({ where: { id }, data: { role: req.body.role }, select: USER_SELECT });
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Set account status: suspended (optionally until a date), banned, or active to reinstate.
+// Blocking an account signs it out everywhere.
+router.patch(
+  '/users/:id/status',
+  permit('users:manage'),
+  [
+    body('status').isIn(ACCOUNT_STATUSES),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('until').optional({ nullable: true }).isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    if (id === req.user.id) return res.status(400).json({ error: 'You cannot change your own status' });
+    const { status, reason, until } = req.body;
+    if (until && status !== 'suspended') return res.status(400).json({ error: 'until only applies to suspensions' });
+    if (until && new Date(until).getTime() <= Date.now()) return res.status(400).json({ error: 'until must be in the future' });
+    try {
+      const existing = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+      if (!existing) return res.status(404).json({ error: 'User not found' });
+      const updated = await setAccountStatus(id, { status, reason, until }, USER_SELECT);
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to change status' });
+    }
+  }
+);
+
+// ----- Properties -----
+
+// Hide a listing from public queries
+router.post(
+  '/properties/:id/unpublish',
+  permit('properties:moderate'),
+  [body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    try {
+      const existing = await prisma.property.findUnique({ where: { id }, select: { id: true } });
+      if (!existing) return res.status(404).json({ error: 'Property not found' });
+      const updated = await hideProperty(id, req.body.reason);
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to unpublish property' });
+    }
+  }
+);
+
+// Make a moderated listing public again
+router.post('/properties/:id/republish', permit('properties:moderate'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const existing = await prisma.property.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) return res.status(404).json({ error: 'Property not found' });
+    const updated = await prisma.property.update({ where: { id }, data: { hiddenAt: null, hiddenReason: null } });
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to republish property' });
+  }
+});
+
+// ----- Reports -----
+
+const REPORT_INCLUDE = {
+  reporter: { select: { id: true, name: true, email: true } },
+  targetUser: { select: USER_SELECT },
+  resolvedBy: { select: { id: true, name: true } },
+  message: { select: { id: true, chatId: true, content: true, sentAt: true, deletedAt: true } },
+  property: { select: { id: true, title: true, ownerId: true, hiddenAt: true } },
+};
+
+// Review queue, oldest open reports first by default: status, targetType, targetUserId, cursor, limit
+router.get(
+  '/reports',
+  permit('reports:manage'),
+  [
+    query('status').optional().isIn(REPORT_STATUSES),
+    query('targetType').optional().isIn(REPORT_TARGETS),
+    query('targetUserId').optional().isInt({ gt: 0 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('cursor').optional().isInt({ gt: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    try {
+      const where = { status: req.query.status || 'open' };
+      if (req.query.targetType) where.targetType = req.query.targetType;
+      if (req.query.targetUserId) where.targetUserId = Number(req.query.targetUserId);
+      const rows = await prisma.report.findMany({
+        where,
+        include: REPORT_INCLUDE,
+        orderBy: { id: where.status === 'open' ? 'asc' : 'desc' },
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.json({ items, nextCursor: hasMore ? items[items.length - 1].id : null });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list reports' });
+    }
+  }
+);
+
+// Report detail, with how many times the same user has been reported
+router.get('/reports/:id', permit('reports:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const report = await prisma.report.findUnique({ where: { id }, include: REPORT_INCLUDE });
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    const reportsAgainstUser = await prisma.report.count({ where: { targetUserId: report.targetUserId } });
+    return res.json({ ...report, reportsAgainstUser });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+// Close a report. status: resolved | dismissed. With status resolved, action may be
+// hide_property (property reports) or suspend_user (the reported user / sender / owner; optional until).
+router.post(
+  '/reports/:id/resolve',
+  permit('reports:manage'),
+  [
+    body('status').isIn(['resolved', 'dismissed']),
+    body('action').optional().isIn(REPORT_ACTIONS),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    body('until').optional({ nullable: true }).isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    const { status, note, until } = req.body;
+    const action = status === 'dismissed' ? 'none' : req.body.action || 'none';
+    if (status === 'dismissed' && req.body.action && req.body.action !== 'none') {
+      return res.status(400).json({ error: 'Dismissed reports cannot take an action' });
+    }
+    if (until && action !== 'suspend_user') return res.status(400).json({ error: 'until only applies to suspensions' });
+    if (until && new Date(until).getTime() <= Date.now()) return res.status(400).json({ error: 'until must be in the future' });
+    try {
+      const report = await prisma.report.findUnique({ where: { id } });
+      if (!report) return res.status(404).json({ error: 'Report not found' });
+      if (report.status !== 'open') return res.status(409).json({ error: 'Report is already closed' });
+
+      if (action === 'hide_property') {
+        if (!report.propertyId) return res.status(400).json({ error: 'This report is not about a property' });
+        await hideProperty(report.propertyId, note || `Report #${report.id}: ${report.reason}`);
+      } else if (action === 'suspend_user') {
+        if (report.targetUserId === req.user.id) return res.status(400).json({ error: 'You cannot change your own status' });
+        await setAccountStatus(report.targetUserId, {
+          status: 'suspended',
+          reason: note || `Report #${report.id}: ${report.reason}`,
+          until,
+        });
+      }
+
+      const updated = await prisma.report.update({
+        where: { id },
+        data: { status, action, resolutionNote: note || null, resolvedById: req.user.id, resolvedAt: new Date() },
+        include: REPORT_INCLUDE,
+      });
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to resolve report' });
+    }
+  }
+);
+
+// ----- Rentals -----
+
+// List any rentals: propertyId, borrowerId, ownerId, active=true|false
+router.get('/rentals', permit('rentals:view_any'), async (req, res) => {
+  const { propertyId, borrowerId, ownerId, active } = req.query;
+  try {
+    const where = {};
+    if (propertyId) where.propertyId = Number(propertyId);
+    if (borrowerId) where.borrowerId = Number(borrowerId);
+    if (ownerId) where.property = { ownerId: Number(ownerId) };
+    if (active === 'true' || active === 'false') where.isActive = active === 'true';
+    const items = await prisma.rental.findMany({
+      where,
+      include: {
+        property: { select: { id: true, title: true, ownerId: true } },
+        borrower: { select: { id: true, name: true, email: true } },
+      },
+      orderBy: { startDate: 'desc' },
+      take: 200,
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list rentals' });
+  }
+});
+
+// Full view of a single rental
+router.get('/rentals/:id', permit('rentals:view_any'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const rental = await prisma.rental.findUnique({
+      where: { id },
+      include: {
+        property: { include: { owner: { select: { id: true, name: true, email: true } } } },
+        borrower: { select: { id: true, name: true, email: true } },
+        reminders: { orderBy: { dueDate: 'asc' } },
+        invites: { orderBy: { id: 'desc' } },
+      },
+    });
+    if (!rental) return res.status(404).json({ error: 'Rental not found' });
+    return res.json(rental);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get rental' });
+  }
+});
+
+module.exports = router;
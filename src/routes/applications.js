@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { BILLING_FREQUENCIES } = require('../lib/rentSchedule');
+const { PropertyTakenError, claimForRental } = require('../lib/propertyLifecycle');
+const {
+  APPLICATION_STATUSES,
+  ApplicationChangedError,
+  applicationInclude,
+  allowedActor,
+  recordTransition,
+  declineOpenApplications,
+  notifyApplication,
+} = require('../lib/applications');
+
+// Review workflow for rental applications (submitting is POST /properties/:id/applications)
+const router = express.Router();
+
+// Load an application and work out whether the caller is its owner or applicant
+async function loadForUser(id, userId) {
+  const application = await prisma.rentalApplication.findUnique({ where: { id }, include: applicationInclude });
+  if (!application) return { application: null, role: null };
+  let role = null;
+  if (application.property.ownerId === userId) role = 'owner';
+  else if (application.applicantId === userId) role = 'applicant';
+  return { application, role };
+}
+
+// My applications as applicant: status filter
+router.get('/', auth(), [query('status').optional().isIn(APPLICATION_STATUSES)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const where = { applicantId: req.user.id };
+    if (req.query.status) where.status = req.query.status;
+    const items = await prisma.rentalApplication.findMany({
+      where,
+      include: applicationInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list applications' });
+  }
+});
+
+// Application with its status history (owner or applicant)
+router.get('/:id', auth(), async (req, res) => {
+  try {
+    const { application, role } = await loadForUser(Number(req.params.id), req.user.id);
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    if (!role) return res.status(403).json({ error: 'Forbidden' });
+    const events = await prisma.rentalApplicationEvent.findMany({
+      where: { applicationId: application.id },
+      include: { actor: { select: { id: true, name: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    return res.json({ ...application, events });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get application' });
+  }
+});
+
+// shortlist / reject (owner) and withdraw (applicant); each takes an optional note
+function simpleTransition(toStatus, failure) {
+  return [
+    auth(),
+    [body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const me = req.user.id;
+      try {
+        const { application, role } = await loadForUser(Number(req.params.id), me);
+        if (!application) return res.status(404).json({ error: 'Application not found' });
+        if (!role) return res.status(403).json({ error: 'Forbidden' });
+        const actor = allowedActor(application.status, toStatus);
+        if (!actor) return res.status(409).json({ error: `Cannot move a ${application.status} application to ${toStatus}` });
+        if (actor !== role) return res.status(403).json({ error: `Only the ${actor} can do this` });
+        const note = req.body.note || null;
+        const updated = await prisma.$transaction((tx) => recordTransition(tx, application, toStatus, me, note));
+        // The applicant hears about every decision; the owner hears about withdrawals
+        await notifyApplication(role === 'owner' ? application.applicantId : application.property.ownerId, updated, note);
+        return res.json(updated);
+      } catch (e) {
+        if (e instanceof ApplicationChangedError) return res.status(409).json({ error: e.message });
+        return res.status(500).json({ error: failure });
+      }
+    },
+  ];
+}
+
+router.post('/:id/shortlist', ...simpleTransition('shortlisted', 'Failed to shortlist application'));
+router.post('/:id/reject', ...simpleTransition('rejected', 'Failed to reject application'));
+router.post('/:id/withdraw', ...simpleTransition('withdrawn', 'Failed to withdraw application'));
+
+// Accept (owner, email verified like POST /rentals/start): starts the Rental on the given terms,
+// takes the listing off the market and turns down the other open applications for it
+router.post(
+  '/:id/accept',
+  auth(),
+  requireVerified,
+  [
+    body('startDate').isISO8601(),
+    body('nextDueDate').isISO8601(),
+    body('rentAmount').optional().isFloat({ gt: 0 }),
+    body('billingFrequency').optional().isIn(BILLING_FREQUENCIES),
+    body('gracePeriodDays').optional().isInt({ min: 0, max: 60 }),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const { startDate, nextDueDate, rentAmount, billingFrequency, gracePeriodDays } = req.body;
+    const note = req.body.note || null;
+    try {
+      const { application, role } = await loadForUser(Number(req.params.id), me);
+      if (!application) return res.status(404).json({ error: 'Application not found' });
+      if (role !== 'owner') return res.status(403).json({ error: 'Only the owner can accept an application' });
+      if (allowedActor(application.status, 'accepted') !== 'owner') {
+        return res.status(409).json({ error: `Cannot accept a ${application.status} application` });
+      }
+
+      const { accepted, declined } = await prisma.$transaction(async (tx) => {
+        // Claiming the listing makes concurrent acceptances for it fail cleanly
+        await claimForRental(tx, application.propertyId);
+        const rental = await tx.rental.create({
+          data: {
+            propertyId: application.propertyId,
+            borrowerId: application.applicantId,
+            startDate: new Date(startDate),
+            firstDueDate: new Date(nextDueDate),
+            nextDueDate: new Date(nextDueDate),
+            rentAmount: rentAmount !== undefined ? Number(rentAmount) : application.property.price,
+            billingFrequency: billingFrequency || 'monthly',
+            gracePeriodDays: gracePeriodDays !== undefined ? Number(gracePeriodDays) : 0,
+          },
+        });
+        const acceptedApp = await recordTransition(tx, application, 'accepted', me, note, { rentalId: rental.id });
+        const declinedApps = await declineOpenApplications(tx, application.propertyId, me, { exceptId: application.id });
+        return { accepted: acceptedApp, declined: declinedApps };
+      });
+
+      await notifyApplication(accepted.applicantId, accepted, note);
+      for (const other of declined) await notifyApplication(other.applicantId, other);
+      return res.json(accepted);
+    } catch (e) {
+      if (e instanceof PropertyTakenError || e instanceof ApplicationChangedError) {
+        return res.status(409).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to accept application' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,13 +1,48 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { sendMail } = require('../lib/mailer');
+const { TOKEN_TYPES, issueToken, consumeToken, latestToken } = require('../lib/authTokens');
+const {
+  SessionError, assertAccountActive, hashToken, createSession, rotateSession, revokeSession, revokeUserSessions,
+} = require('../lib/sessions');
 
 const router = express.Router();
 
-function sign(user) {
-  return jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Minimum gap between verification / reset emails for the same account
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Deep link into the app when APP_URL is set; the raw token is always included for manual entry
+function tokenLink(path, token) {
+  const base = process.env.APP_URL;
+  return base ? `${base.replace(/\/$/, '')}${path}?token=${encodeURIComponent(token)}` : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user.id, TOKEN_TYPES.emailVerify);
+  const link = tokenLink('/verify-email', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Bete email',
+    text: `Hi ${user.name},\n\nConfirm your email ${link ? `by opening ${link} or ` : ''}with this code:\n\n${token}\n\nIt expires in 24 hours.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueToken(user.id, TOKEN_TYPES.passwordReset);
+  const link = tokenLink('/reset-password', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Bete password',
+    text: `Hi ${user.name},\n\nReset your password ${link ? `by opening ${link} or ` : ''}with this code:\n\n${token}\n\nIt expires in 1 hour. If you didn't ask for this, ignore this email.`,
+  });
+}
+
+async function recentlySent(userId, tokenType) {
+  const last = await latestToken(userId, tokenType);
+  return !!last && Date.now() - last.createdAt.getTime() < RESEND_COOLDOWN_MS;
 }
 
 // Lightweight ping to verify router is mounted
@@ -19,6 +54,7 @@ router.post(
     body('name').isString().isLength({ min: 2 }),
     body('email').isEmail(),
     body('password').isLength({ min: 6 }),
+    body('deviceName').optional().isString(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -29,8 +65,13 @@ router.post(
       if (existing) return res.status(409).json({ error: 'Email already in use' });
       const hash = await bcrypt.hash(password, 10);
       const user = await prisma.user.create({ data: { name, email, password: hash } });
-      const token = sign(user);
-      return res.status(201).json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+      // Account is usable right away but limited until the email is confirmed
+      sendVerificationEmail(user).catch((err) => console.error('Verification email error:', err));
+      const tokens = await createSession(user, req);
+      return res.status(201).json({
+        ...tokens,
+        user: { id: user.id, name: user.name, email: user.email, role: user.role, emailVerified: false },
+      });
     } catch (e) {
       console.error('Register error:', e?.code || e?.name || e, e?.message);
       return res.status(500).json({ error: 'Registration failed' });
@@ -40,26 +81,29 @@ router.post(
 
 router.post(
   '/login',
-  [body('email').isEmail(), body('password').isString()],
+  [body('email').isEmail(), body('password').isString(), body('deviceName').optional().isString()],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const { email, password } = req.body;
     try {
       const user = await prisma.user.findUnique({ where: { email } });
-      if (!user) {
-        // specific message when account does not exist
-        return res.status(404).json({ error: 'Account not found. Please sign up.' });
-      }
-
-      const ok = await bcrypt.compare(password, user.password);
+      // Same response for unknown email and wrong password so accounts can't be enumerated
+      const ok = user ? await bcrypt.compare(password, user.password) : false;
       if (!ok) {
-        // specific message for wrong password
-        return res.status(401).json({ error: 'Incorrect password. Please try again.' });
+        return res.status(401).json({ error: 'Incorrect email or password. Please try again.' });
+      }
+      try {
+        assertAccountActive(user);
+      } catch (blocked) {
+        return res.status(403).json({ error: blocked.message, code: blocked.code });
       }
 
-      const token = sign(user);
-      return res.json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+      const tokens = await createSession(user, req);
+      return res.json({
+        ...tokens,
+        user: { id: user.id, name: user.name, email: user.email, role: user.role, emailVerified: !!user.emailVerifiedAt },
+      });
     } catch (e) {
       console.error('Login error:', e?.code || e?.name || e, e?.message);
       return res.status(500).json({ error: 'Login failed' });
@@ -67,4 +111,147 @@ router.post(
   }
 );
 
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', [body('token').isString().isLength({ min: 1 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const token = await consumeToken(req.body.token, TOKEN_TYPES.emailVerify);
+    if (!token) return res.status(400).json({ error: 'Invalid or expired token' });
+    await prisma.user.update({ where: { id: token.userId }, data: { emailVerifiedAt: new Date() } });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('Verify email error:', e?.code || e?.name || e, e?.message);
+    return res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Send a new verification email to the signed-in user
+router.post('/resend-verification', auth(), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    if (user.emailVerifiedAt) return res.status(409).json({ error: 'Email already verified' });
+    if (await recentlySent(user.id, TOKEN_TYPES.emailVerify)) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+    await sendVerificationEmail(user);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+// Start a password reset. Always answers ok so it can't be used to probe for accounts.
+router.post('/forgot-password', [body('email').isEmail()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const user = await prisma.user.findUnique({ where: { email: req.body.email } });
+    if (user && !(await recentlySent(user.id, TOKEN_TYPES.passwordReset))) {
+      await sendPasswordResetEmail(user);
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('Forgot password error:', e?.code || e?.name || e, e?.message);
+    return res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Set a new password with a reset token; signs out every existing session
+router.post(
+  '/reset-password',
+  [body('token').isString().isLength({ min: 1 }), body('password').isLength({ min: 6 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const token = await consumeToken(req.body.token, TOKEN_TYPES.passwordReset);
+      if (!token) return res.status(400).json({ error: 'Invalid or expired token' });
+      const hash = await bcrypt.hash(req.body.password, 10);
+      const user = await prisma.user.findUnique({ where: { id: token.userId } });
+      if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+      await prisma.user.update({
+        where: { id: user.id },
+        // Receiving the reset email proves ownership of the address
+        data: { password: hash, emailVerifiedAt: user.emailVerifiedAt || new Date() },
+      });
+      await revokeUserSessions(user.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error('Reset password error:', e?.code || e?.name || e, e?.message);
+      return res.status(500).json({ error: 'Password reset failed' });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+router.post('/refresh', [body('refreshToken').isString().isLength({ min: 1 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const tokens = await rotateSession(req.body.refreshToken);
+    return res.json(tokens);
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(e.code ? 403 : 401).json({ error: e.message, code: e.code });
+    console.error('Refresh error:', e?.code || e?.name || e, e?.message);
+    return res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// End the current session (works with an expired access token)
+router.post('/logout', [body('refreshToken').isString().isLength({ min: 1 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: hashToken(req.body.refreshToken) },
+      select: { id: true },
+    });
+    if (session) await revokeSession(session.id);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List my active sessions (one per signed-in device)
+router.get('/sessions', auth(), async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { id: true, deviceName: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+    return res.json(sessions.map((s) => ({ ...s, current: s.id === req.user.sid })));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Revoke all my sessions (?exceptCurrent=true keeps this device signed in)
+router.delete('/sessions', auth(), async (req, res) => {
+  try {
+    const exceptId = String(req.query.exceptCurrent) === 'true' ? req.user.sid : undefined;
+    const revoked = await revokeUserSessions(req.user.id, { exceptId });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:id', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const session = await prisma.session.findUnique({ where: { id }, select: { userId: true } });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Session not found' });
+    await revokeSession(id);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { buildCalendar, formatDate, monthlyByDay } = require('../lib/ical');
+
+const router = express.Router();
+
+const RENT_ALARM_DAYS = Number(process.env.RENT_REMINDER_LEAD_DAYS || 3);
+
+function rentalRRule(rental) {
+  if (rental.billingFrequency === 'weekly') return 'FREQ=WEEKLY';
+  const day = new Date(rental.firstDueDate || rental.nextDueDate).getUTCDate();
+  const interval = rental.billingFrequency === 'quarterly' ? ';INTERVAL=3' : '';
+  return `FREQ=MONTHLY${interval};${monthlyByDay(day)}`;
+}
+
+// Remaining occurrences from the current due date onwards
+function customReminderRRule(reminder) {
+  if (!reminder.recurrenceType) return null;
+  const interval = reminder.recurrenceInterval > 1 ? `;INTERVAL=${reminder.recurrenceInterval}` : '';
+  let rule = reminder.recurrenceType === 'weekly'
+    ? `FREQ=WEEKLY${interval}`
+    : `FREQ=MONTHLY${interval};${monthlyByDay(reminder.recurrenceDay || new Date(reminder.dueDate).getUTCDate())}`;
+  if (reminder.recurrenceCount) rule += `;COUNT=${Math.max(1, reminder.recurrenceCount - reminder.occurrenceIndex)}`;
+  else if (reminder.recurrenceUntil) rule += `;UNTIL=${formatDate(reminder.recurrenceUntil)}`;
+  return rule;
+}
+
+// Public iCalendar feed, authorised by the secret token in the URL (rotate via /users/me/calendar-token).
+// Active rentals appear as a recurring "rent due" series from their next due date; rent reminders
+// before that date (arrears and history) and open custom reminders are added as their own events.
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarToken: String(req.params.token) },
+      select: { id: true },
+    });
+    if (!user) return res.status(404).json({ error: 'Calendar not found' });
+
+    const [rentals, customReminders] = await Promise.all([
+      prisma.rental.findMany({
+        where: { isActive: true, OR: [{ borrowerId: user.id }, { property: { ownerId: user.id } }] },
+        include: { property: { select: { title: true, ownerId: true } }, reminders: true },
+      }),
+      prisma.customReminder.findMany({ where: { userId: user.id, completedAt: null } }),
+    ]);
+
+    const events = [];
+    for (const rental of rentals) {
+      const role = rental.borrowerId === user.id ? 'Rent due' : 'Rent to collect';
+      events.push({
+        uid: `rental-${rental.id}@bete`,
+        date: rental.nextDueDate,
+        summary: `${role}: ${rental.property.title}`,
+        description: `Amount: ${rental.rentAmount}`,
+        rrule: rentalRRule(rental),
+        alarmDays: [RENT_ALARM_DAYS],
+      });
+      for (const reminder of rental.reminders) {
+        if (reminder.dueDate >= rental.nextDueDate) continue; // covered by the series above
+        events.push({
+          uid: `rent-reminder-${reminder.id}@bete`,
+          date: reminder.dueDate,
+          summary: `${role} (${reminder.status}): ${rental.property.title}`,
+          description: `Amount: ${rental.rentAmount}`,
+        });
+      }
+    }
+    for (const reminder of customReminders) {
+      events.push({
+        uid: `custom-reminder-${reminder.id}@bete`,
+        date: reminder.dueDate,
+        summary: `${reminder.propertyTitle}${reminder.counterparty ? ` - ${reminder.counterparty}` : ''}`,
+        description: reminder.amount != null ? `Amount: ${reminder.amount}` : null,
+        rrule: customReminderRRule(reminder),
+        alarmDays: reminder.leadDays,
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    return res.send(buildCalendar({ name: 'Bete rent', events }));
+  } catch (e) {
+    console.error('Calendar feed error:', e);
+    return res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,35 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const {
+  MessageError,
+  messageInclude,
+  visibleTo,
+  findChatForUser,
+  findOrCreateChat,
+  unreadCounts,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  markChatRead,
+} = require('../lib/chatMessages');
+const { MAX_ATTACHMENTS, AttachmentError, prepareAttachments, messagePreview } = require('../lib/chatAttachments');
+const { isBlockedBetween, blockedUserIds } = require('../lib/blocks');
 
 const router = express.Router();
 
+// Turn free text into a prefix-matching tsquery ("bro pip" -> "bro:* & pip:*"); operators are stripped
+function toPrefixTsQuery(text) {
+  const words = String(text)
+    .split(/\s+/)
+    .map((w) => w.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .slice(0, 8);
+  return words.map((w) => `${w}:*`).join(' & ');
+}
+
 // Create (or fetch existing) chat between current user and otherUserId
 // Now also accepts optional propertyId to link chat to a specific property
 router.post(
@@ -19,26 +44,9 @@ router.post(
     const me = req.user.id;
     if (otherUserId === me) return res.status(400).json({ error: 'Cannot chat with yourself' });
     try {
-      // Ensure ordering so we don't duplicate chats A/B vs B/A
-      const [a, b] = me < otherUserId ? [me, otherUserId] : [otherUserId, me];
-      
-      // Find existing chat - now also consider propertyId if provided
-      let chat;
-      if (propertyId) {
-        // Look for chat with same users AND same property
-        chat = await prisma.chat.findFirst({ 
-          where: { userAId: a, userBId: b, propertyId } 
-        });
-      } else {
-        // Legacy: find any chat between these users
-        chat = await prisma.chat.findFirst({ where: { userAId: a, userBId: b } });
-      }
-      
-      if (!chat) {
-        chat = await prisma.chat.create({ 
-          data: { userAId: a, userBId: b, propertyId } 
-        });
-      }
+      if (await isBlockedBetween(me, otherUserId)) return res.status(403).json({ error: 'You cannot chat with this user' });
+      // Scoped to the property when propertyId is given; otherwise any chat between the two users
+      const chat = await findOrCreateChat(me, otherUserId, propertyId);
       return res.status(201).json(chat);
     } catch (e) {
       console.error('create chat error', e);
@@ -47,21 +55,28 @@ router.post(
   }
 );
 
-// List chats for current user (includes other user's info and property info)
+// List chats for current user (includes other user's info and property info); chats with users I blocked are hidden
 router.get('/', auth(), async (req, res) => {
   const me = req.user.id;
   try {
+    const blocked = await blockedUserIds(me);
     const chats = await prisma.chat.findMany({
-      where: { OR: [{ userAId: me }, { userBId: me }] },
+      where: {
+        OR: [
+          { userAId: me, userBId: { notIn: blocked } },
+          { userBId: me, userAId: { notIn: blocked } },
+        ],
+      },
       orderBy: { createdAt: 'desc' },
       include: {
         userA: { select: { id: true, name: true, avatarUrl: true } },
         userB: { select: { id: true, name: true, avatarUrl: true } },
-        messages: { orderBy: { sentAt: 'desc' }, take: 1 },
+        messages: { where: visibleTo(me), orderBy: { sentAt: 'desc' }, take: 1, include: { attachments: { take: 1 } } },
         property: { select: { id: true, title: true, imageUrl: true, price: true } },
       },
     });
-    // Map to include the "other" user info, property info, and last message preview
+    const { byChat } = await unreadCounts(me);
+    // Map to include the "other" user info, property info, last message preview and unread count
     const result = chats.map((c) => {
       const other = c.userAId === me ? c.userB : c.userA;
       const lastMsg = c.messages?.[0];
@@ -70,8 +85,9 @@ router.get('/', auth(), async (req, res) => {
         otherUserId: other?.id,
         otherUserName: other?.name || 'User',
         otherUserAvatar: other?.avatarUrl || null,
-        lastMessage: lastMsg?.content || '',
+        lastMessage: lastMsg ? messagePreview(lastMsg) : '',
         lastMessageAt: lastMsg?.sentAt || c.createdAt,
+        unreadCount: byChat[c.id] || 0,
         createdAt: c.createdAt,
         // Property info
         propertyId: c.property?.id || null,
@@ -87,46 +103,207 @@ router.get('/', auth(), async (req, res) => {
   }
 });
 
-// List messages in a chat (must be participant)
-router.get('/:id/messages', auth(), async (req, res) => {
+// Full-text search over messages in all my chats, newest first, with chat and property context
+// q (words are prefix-matched), before=<messageId> for the next page, limit (max 50)
+router.get(
+  '/search',
+  auth(),
+  [
+    query('q').isString().trim().isLength({ min: 1, max: 200 }),
+    query('before').optional().isInt({ gt: 0 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    const before = req.query.before ? Number(req.query.before) : null;
+    const tsQuery = toPrefixTsQuery(req.query.q);
+    if (!tsQuery) return res.json({ items: [], nextCursor: null });
+    try {
+      const hits = await prisma.$queryRaw`
+        SELECT m."id"
+        FROM "Message" m
+        JOIN "Chat" c ON c."id" = m."chatId"
+        WHERE (c."userAId" = ${me} OR c."userBId" = ${me})
+          AND NOT EXISTS (
+            SELECT 1 FROM "UserBlock" b
+            WHERE b."blockerId" = ${me} AND b."blockedId" IN (c."userAId", c."userBId")
+          )
+          AND m."deletedAt" IS NULL
+          AND NOT (${me} = ANY(m."deletedFor"))
+          AND to_tsvector('simple', m."content") @@ to_tsquery('simple', ${tsQuery})
+          ${before ? Prisma.sql`AND m."id" < ${before}` : Prisma.empty}
+        ORDER BY m."id" DESC
+        LIMIT ${limit + 1}`;
+      const hasMore = hits.length > limit;
+      const ids = hits.slice(0, limit).map((h) => h.id);
+      const messages = await prisma.message.findMany({
+        where: { id: { in: ids } },
+        orderBy: { id: 'desc' },
+        include: {
+          ...messageInclude,
+          chat: {
+            include: {
+              userA: { select: { id: true, name: true, avatarUrl: true } },
+              userB: { select: { id: true, name: true, avatarUrl: true } },
+              property: { select: { id: true, title: true, imageUrl: true, price: true } },
+            },
+          },
+        },
+      });
+      const items = messages.map(({ chat, ...m }) => {
+        const other = chat.userAId === me ? chat.userB : chat.userA;
+        return {
+          ...m,
+          chat: { id: chat.id, otherUser: other, property: chat.property || null },
+        };
+      });
+      return res.json({ items, nextCursor: hasMore ? ids[ids.length - 1] : null });
+    } catch (e) {
+      console.error('search messages error', e);
+      return res.status(500).json({ error: 'Failed to search messages' });
+    }
+  }
+);
+
+// Total unread messages across my chats (for the tab badge)
+router.get('/unread', auth(), async (req, res) => {
+  try {
+    const { total, byChat } = await unreadCounts(req.user.id);
+    return res.json({ total, chats: byChat });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to count unread messages' });
+  }
+});
+
+// Mark messages in a chat as read (all, or up to upToMessageId) and notify the sender
+router.post('/:id/read', auth(), [body('upToMessageId').optional().isInt({ gt: 0 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
   const me = req.user.id;
   const chatId = Number(req.params.id);
   try {
     const chat = await prisma.chat.findUnique({ where: { id: chatId } });
     if (!chat) return res.status(404).json({ error: 'Chat not found' });
     if (chat.userAId !== me && chat.userBId !== me) return res.status(403).json({ error: 'Forbidden' });
-    const msgs = await prisma.message.findMany({
-      where: { chatId },
-      orderBy: { sentAt: 'asc' },
-    });
-    return res.json(msgs);
+    const upTo = req.body.upToMessageId ? Number(req.body.upToMessageId) : null;
+    const { count, readAt } = await markChatRead(chat, me, upTo);
+    return res.json({ ok: true, marked: count, readAt });
   } catch (e) {
-    return res.status(500).json({ error: 'Failed to list messages' });
+    return res.status(500).json({ error: 'Failed to mark chat read' });
   }
 });
 
-// Send a message in a chat (must be participant)
-router.post(
+// List messages in a chat, newest first (must be participant)
+// before=<messageId> loads the page older than that message; limit defaults to 30 (max 100)
+router.get(
   '/:id/messages',
   auth(),
-  [body('content').isString().isLength({ min: 1 })],
+  [query('before').optional().isInt({ gt: 0 }), query('limit').optional().isInt({ min: 1, max: 100 })],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const me = req.user.id;
     const chatId = Number(req.params.id);
+    const limit = req.query.limit ? Number(req.query.limit) : 30;
     try {
       const chat = await prisma.chat.findUnique({ where: { id: chatId } });
       if (!chat) return res.status(404).json({ error: 'Chat not found' });
       if (chat.userAId !== me && chat.userBId !== me) return res.status(403).json({ error: 'Forbidden' });
-      const msg = await prisma.message.create({
-        data: { chatId, senderId: me, content: req.body.content },
+      const where = { chatId, ...visibleTo(me) };
+      if (req.query.before) where.id = { lt: Number(req.query.before) };
+      // Ids grow with send order, so they double as the pagination cursor
+      const rows = await prisma.message.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        take: limit + 1,
+        include: messageInclude,
       });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.json({ items, nextCursor: hasMore ? items[items.length - 1].id : null });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list messages' });
+    }
+  }
+);
+
+// Send a message in a chat (must be participant).
+// content may be empty when attachments are given: [{ type: 'image'|'file', url (from /upload), name },
+// { type: 'location', lat, lng, label }, { type: 'property', propertyId }]; replyToId quotes an earlier message
+router.post(
+  '/:id/messages',
+  auth(),
+  [
+    body('content').optional().isString(),
+    body('attachments').optional().isArray({ max: MAX_ATTACHMENTS }),
+    body('replyToId').optional({ nullable: true }).isInt({ gt: 0 }),
+    body().custom((b) => {
+      if ((typeof b.content === 'string' && b.content.trim()) || b.attachments?.length) return true;
+      throw new Error('content or attachments is required');
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const chatId = Number(req.params.id);
+    try {
+      const chat = await prisma.chat.findUnique({ where: { id: chatId } });
+      if (!chat) return res.status(404).json({ error: 'Chat not found' });
+      if (chat.userAId !== me && chat.userBId !== me) return res.status(403).json({ error: 'Forbidden' });
+      const attachments = await prepareAttachments(req.body.attachments, me);
+      const replyToId = req.body.replyToId ? Number(req.body.replyToId) : null;
+      const msg = await sendMessage(chat, me, req.body.content, { attachments, replyToId });
       return res.status(201).json(msg);
     } catch (e) {
+      if (e instanceof AttachmentError) return res.status(400).json({ error: e.message });
+      if (e instanceof MessageError) return res.status(e.status).json({ error: e.message });
       return res.status(500).json({ error: 'Failed to send message' });
     }
   }
 );
 
+// Edit one of my messages (sets editedAt and broadcasts message:updated)
+router.patch(
+  '/:id/messages/:messageId',
+  auth(),
+  [body('content').isString()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const chat = await findChatForUser(Number(req.params.id), req.user.id);
+      if (!chat) return res.status(404).json({ error: 'Chat not found' });
+      const msg = await editMessage(chat, req.user.id, Number(req.params.messageId), req.body.content);
+      return res.json(msg);
+    } catch (e) {
+      if (e instanceof MessageError) return res.status(e.status).json({ error: e.message });
+      return res.status(500).json({ error: 'Failed to edit message' });
+    }
+  }
+);
+
+// Delete a message: ?scope=me (default) hides it for me, ?scope=everyone tombstones my own message
+router.delete(
+  '/:id/messages/:messageId',
+  auth(),
+  [query('scope').optional().isIn(['me', 'everyone'])],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const chat = await findChatForUser(Number(req.params.id), req.user.id);
+      if (!chat) return res.status(404).json({ error: 'Chat not found' });
+      const result = await deleteMessage(chat, req.user.id, Number(req.params.messageId), req.query.scope || 'me');
+      return res.json({ ok: true, ...result });
+    } catch (e) {
+      if (e instanceof MessageError) return res.status(e.status).json({ error: e.message });
+      return res.status(500).json({ error: 'Failed to delete message' });
+    }
+  }
+);
+
 module.exports = router;
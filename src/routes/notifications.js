@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const {
+  NOTIFICATION_CATEGORIES,
+  TIME_OF_DAY,
+  isValidTimeZone,
+  resolvePreferences,
+  getSettings,
+} = require('../lib/notifications');
+
+const router = express.Router();
+
+// My inbox, newest first: unread=true, category, cursor (notification id), limit (max 100)
+router.get(
+  '/',
+  auth(),
+  [
+    query('unread').optional().isBoolean(),
+    query('category').optional().isIn(NOTIFICATION_CATEGORIES),
+    query('cursor').optional().isInt({ gt: 0 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const limit = req.query.limit ? Number(req.query.limit) : 30;
+    try {
+      const where = { userId: req.user.id };
+      if (req.query.unread === 'true') where.readAt = null;
+      if (req.query.category) where.category = req.query.category;
+      if (req.query.cursor) where.id = { lt: Number(req.query.cursor) };
+      const rows = await prisma.notification.findMany({ where, orderBy: { id: 'desc' }, take: limit + 1 });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.json({ items, nextCursor: hasMore ? items[items.length - 1].id : null });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list notifications' });
+    }
+  }
+);
+
+router.get('/unread-count', auth(), async (req, res) => {
+  try {
+    const count = await prisma.notification.count({ where: { userId: req.user.id, readAt: null } });
+    return res.json({ count });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// Category preferences and quiet hours
+router.get('/preferences', auth(), async (req, res) => {
+  try {
+    return res.json(await getSettings(req.user.id));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// preferences: { chat_message: { push: false }, ... } (merged into what is stored);
+// quietHoursStart/quietHoursEnd: "HH:MM" or null to turn quiet hours off; timeZone: IANA name
+router.put(
+  '/preferences',
+  auth(),
+  [
+    body('preferences').optional().isObject(),
+    body('preferences.*').optional().isObject(),
+    body('preferences.*.push').optional().isBoolean(),
+    body('preferences.*.inbox').optional().isBoolean(),
+    body('quietHoursStart').optional({ nullable: true }).matches(TIME_OF_DAY),
+    body('quietHoursEnd').optional({ nullable: true }).matches(TIME_OF_DAY),
+    body('timeZone').optional().isString().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const incoming = req.body.preferences || {};
+    const unknown = Object.keys(incoming).filter((c) => !NOTIFICATION_CATEGORIES.includes(c));
+    if (unknown.length) return res.status(400).json({ error: `Unknown categories: ${unknown.join(', ')}` });
+    const { quietHoursStart, quietHoursEnd, timeZone } = req.body;
+    if ((quietHoursStart === undefined) !== (quietHoursEnd === undefined)) {
+      return res.status(400).json({ error: 'quietHoursStart and quietHoursEnd must be set together' });
+    }
+    try {
+      const me = req.user.id;
+      const existing = await prisma.notificationSettings.findUnique({ where: { userId: me } });
+      const stored = existing?.preferences || {};
+      const preferences = { ...stored };
+      for (const [category, value] of Object.entries(incoming)) {
+        const { push, inbox } = value;
+        preferences[category] = {
+          ...(stored[category] || {}),
+          ...(push !== undefined ? { push } : {}),
+          ...(inbox !== undefined ? { inbox } : {}),
+        };
+      }
+      const data = { preferences };
+      if (quietHoursStart !== undefined) {
+        data.quietHoursStart = quietHoursStart || null;
+        data.quietHoursEnd = quietHoursEnd || null;
+      }
+      if (timeZone !== undefined) data.timeZone = timeZone;
+      const saved = await prisma.notificationSettings.upsert({
+        where: { userId: me },
+        create: { userId: me, ...data },
+        update: data,
+      });
+      return res.json({
+        preferences: resolvePreferences(saved.preferences),
+        quietHoursStart: saved.quietHoursStart,
+        quietHoursEnd: saved.quietHoursEnd,
+        timeZone: saved.timeZone || 'UTC',
+      });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to save notification preferences' });
+    }
+  }
+);
+
+router.post('/read-all', auth(), async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+    return res.json({ ok: true, marked: count });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+router.post('/:id/read', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const notification = await prisma.notification.findFirst({ where: { id, userId: req.user.id } });
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    if (notification.readAt) return res.json(notification);
+    const updated = await prisma.notification.update({ where: { id }, data: { readAt: new Date() } });
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+module.exports = router;
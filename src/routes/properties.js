@@ -1,87 +1,328 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, matchedData, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { LISTING_TYPES, SORTS, parseFilters, buildWhere, buildSqlWhere } = require('../lib/propertySearch');
+const { notifySavedSearchMatches } = require('../lib/savedSearchAlerts');
+const {
+  CLUSTER_MAX_ZOOM,
+  boundsAround,
+  parseBbox,
+  bboxWhere,
+  bboxSql,
+  distanceSql,
+  clusterCellDeg,
+  clusterPoints,
+} = require('../lib/geo');
+const {
+  PROPERTY_STATUSES,
+  VISIBLE_STATUSES,
+  ACTIVE_LISTING_STATUSES,
+  transitionError,
+  isVisible,
+} = require('../lib/propertyLifecycle');
+const { can } = require('../lib/permissions');
+const { ratingSummary } = require('../lib/reviews');
+const { releaseUrls } = require('../lib/uploads');
+const {
+  MAX_PROPERTY_IMAGES,
+  GalleryError,
+  galleryOrder,
+  gallerySelect,
+  variantUrls,
+  replaceGalleryUrls,
+} = require('../lib/propertyImages');
 
 const router = express.Router();
 
-// Create property (owner is authenticated user)
+// Most pins GET /properties/map sends individually; busier views are clustered by the database
+const MAP_MAX_PINS = 500;
+const mapPinSelect = { id: true, title: true, price: true, listingType: true, imageUrl: true, lat: true, lng: true };
+
+// Active listings an account without properties:portfolio (landlords and agents) may have
+const MAX_PERSONAL_LISTINGS = Number(process.env.MAX_PERSONAL_LISTINGS || 3);
+
+// Error message when `user` can't add another active listing, else null
+async function listingLimitError(user) {
+  if (can(user, 'properties:portfolio')) return null;
+  const active = await prisma.property.count({ where: { ownerId: user.id, status: { in: ACTIVE_LISTING_STATUSES } } });
+  if (active < MAX_PERSONAL_LISTINGS) return null;
+  return `You can have up to ${MAX_PERSONAL_LISTINGS} active listings; landlord and agent accounts have no limit`;
+}
+
+// Saved-search alerts go out the first time a listing is published
+function alertIfFirstPublished(before, after) {
+  if (after.status !== 'published' || (before && before.publishedAt)) return;
+  notifySavedSearchMatches(after).catch((err) => console.error('Saved search alert error:', err));
+}
+
+// Create property (owner is authenticated user with a verified email).
+// status: published (default) or draft to finish it later
 router.post(
   '/',
   auth(),
+  requireVerified,
   [
     body('title').isString().isLength({ min: 2 }),
     body('description').optional({ nullable: true }).isString(),
     body('imageUrl').optional({ nullable: true }).isString(),
-    body('images').optional().isArray(),
+    body('images').optional().isArray({ max: MAX_PROPERTY_IMAGES }),
     body('location').optional({ nullable: true }).isString(),
     body('price').isFloat({ gt: 0 }),
     body('lat').optional().isFloat({ min: -90, max: 90 }),
     body('lng').optional().isFloat({ min: -180, max: 180 }),
-    body('listingType').optional().isIn(['rent', 'sale']),
+    body('listingType').optional().isIn(LISTING_TYPES),
     body('bedrooms').optional({ nullable: true }).isInt({ min: 0 }),
     body('bathrooms').optional({ nullable: true }).isInt({ min: 0 }),
     body('area').optional({ nullable: true }).isString(),
+    body('status').optional().isIn(['draft', 'published']),
+    body('availableFrom').optional({ nullable: true }).isISO8601(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const { 
       title, description, imageUrl, images, location, price, 
-      lat, lng, listingType, bedrooms, bathrooms, area 
+      lat, lng, listingType, bedrooms, bathrooms, area, availableFrom
     } = req.body;
+    const status = req.body.status || 'published';
     try {
-      const created = await prisma.property.create({
-        data: {
-          title,
-          description: description || null,
-          imageUrl: imageUrl || null,
-          images: Array.isArray(images) ? images : [],
-          location: location || null,
-          price: Number(price),
-          lat: lat !== undefined ? Number(lat) : null,
-          lng: lng !== undefined ? Number(lng) : null,
-          listingType: listingType || 'rent',
-          bedrooms: bedrooms !== undefined ? Number(bedrooms) : null,
-          bathrooms: bathrooms !== undefined ? Number(bathrooms) : null,
-          area: area || null,
-          ownerId: req.user.id,
-        },
+      const limited = await listingLimitError(req.user);
+      if (limited) return res.status(403).json({ error: limited });
+      const created = await prisma.$transaction(async (tx) => {
+        const property = await tx.property.create({
+          data: {
+            title,
+            description: description || null,
+            location: location || null,
+            price: Number(price),
+            lat: lat !== undefined ? Number(lat) : null,
+            lng: lng !== undefined ? Number(lng) : null,
+            listingType: listingType || 'rent',
+            bedrooms: bedrooms !== undefined ? Number(bedrooms) : null,
+            bathrooms: bathrooms !== undefined ? Number(bathrooms) : null,
+            area: area || null,
+            status,
+            availableFrom: availableFrom ? new Date(availableFrom) : null,
+            publishedAt: status === 'published' ? new Date() : null,
+            ownerId: req.user.id,
+          },
+        });
+        // imageUrl/images seed the gallery, which then fills both fields back in
+        await replaceGalleryUrls(tx, property, Array.isArray(images) ? images : [], imageUrl || null);
+        return tx.property.findUnique({ where: { id: property.id } });
       });
+      // Alert saved-search owners in the background; the listing is already created
+      alertIfFirstPublished(null, created);
       return res.status(201).json(created);
     } catch (e) {
+      if (e instanceof GalleryError) return res.status(400).json({ error: e.message });
       console.error('Create property error:', e);
       return res.status(500).json({ error: 'Failed to create property' });
     }
   }
 );
 
-// List properties with optional filters: ownerId, q (search in title/description)
-router.get('/', async (req, res) => {
-  const { ownerId, q } = req.query;
+// List properties with filters, sorting and cursor pagination
+// Filters: ownerId, q (title/description), listingType, minPrice, maxPrice, minBedrooms, minBathrooms, location,
+// status (published by default; under_offer, rented or sold on request)
+// sort=newest|price_asc|price_desc, limit (max 50), cursor=<id from nextCursor>, facets=true for filter chip counts
+router.get(
+  '/',
+  [
+    query('ownerId').optional().isInt({ gt: 0 }),
+    query('listingType').optional().isIn(LISTING_TYPES),
+    query('minPrice').optional().isFloat({ min: 0 }),
+    query('maxPrice').optional().isFloat({ min: 0 }),
+    query('minBedrooms').optional().isInt({ min: 0 }),
+    query('minBathrooms').optional().isInt({ min: 0 }),
+    query('status').optional().isIn(VISIBLE_STATUSES),
+    query('sort').optional().isIn(Object.keys(SORTS)),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    query('cursor').optional().isInt({ gt: 0 }),
+    query('facets').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const filters = parseFilters(req.query);
+    const sort = req.query.sort || 'newest';
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    // req.query is re-parsed on every read in Express 5, so take the sanitized boolean from the validator
+    const { facets } = matchedData(req, { locations: ['query'] });
+    try {
+      const where = buildWhere(filters);
+      // Fetch one extra row to know whether another page exists
+      const rows = await prisma.property.findMany({
+        where,
+        orderBy: SORTS[sort],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      const result = { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+
+      if (facets === true) {
+        // Each facet ignores its own filter so the other chips keep their counts
+        const [byType, byBedrooms] = await Promise.all([
+          prisma.property.groupBy({
+            by: ['listingType'],
+            where: buildWhere(filters, { omit: ['listingType'] }),
+            _count: { _all: true },
+          }),
+          prisma.property.groupBy({
+            by: ['bedrooms'],
+            where: buildWhere(filters, { omit: ['minBedrooms'] }),
+            _count: { _all: true },
+            orderBy: { bedrooms: 'asc' },
+          }),
+        ]);
+        result.facets = {
+          listingType: byType.map((r) => ({ value: r.listingType, count: r._count._all })),
+          bedrooms: byBedrooms.map((r) => ({ value: r.bedrooms, count: r._count._all })),
+        };
+      }
+      return res.json(result);
+    } catch (e) {
+      console.error('List properties error:', e);
+      return res.status(500).json({ error: 'Failed to list properties' });
+    }
+  }
+);
+
+// Listings near a point, closest first, each with distanceKm
+// lat, lng, radiusKm (default 10, max 100), limit (max 100), plus the GET / filters
+router.get(
+  '/nearby',
+  [
+    query('lat').isFloat({ min: -90, max: 90 }),
+    query('lng').isFloat({ min: -180, max: 180 }),
+    query('radiusKm').optional().isFloat({ gt: 0, max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('listingType').optional().isIn(LISTING_TYPES),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    const radiusKm = req.query.radiusKm ? Number(req.query.radiusKm) : 10;
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+    try {
+      // Distance ordering and the limit run in the database so dense areas don't load every listing in the box
+      const box = boundsAround(lat, lng, radiusKm);
+      const distance = distanceSql(lat, lng);
+      const nearest = await prisma.$queryRaw`
+        SELECT p."id", ${distance} AS "distanceKm"
+        FROM "Property" p
+        WHERE ${buildSqlWhere(parseFilters(req.query))} AND ${bboxSql(box)} AND ${distance} <= ${radiusKm}
+        ORDER BY "distanceKm" ASC, p."id" ASC
+        LIMIT ${limit}
+      `;
+      const rows = await prisma.property.findMany({ where: { id: { in: nearest.map((n) => n.id) } } });
+      const byId = new Map(rows.map((p) => [p.id, p]));
+      const items = nearest
+        .filter((n) => byId.has(n.id))
+        .map((n) => ({ ...byId.get(n.id), distanceKm: Number(n.distanceKm.toFixed(3)) }));
+      return res.json(items);
+    } catch (e) {
+      console.error('Nearby properties error:', e);
+      return res.status(500).json({ error: 'Failed to find nearby properties' });
+    }
+  }
+);
+
+// Grid clusters for a map view with more than MAP_MAX_PINS listings, grouped in SQL.
+// Cells holding a single listing come back as pins, like clusterPoints.
+async function clusterInDatabase(filters, bbox, zoom) {
+  const cellDeg = clusterCellDeg(Math.min(zoom, CLUSTER_MAX_ZOOM));
+  const cells = await prisma.$queryRaw`
+    SELECT count(*)::int AS "count", avg(p."lat") AS "lat", avg(p."lng") AS "lng",
+      min(p."lat") AS "minLat", max(p."lat") AS "maxLat", min(p."lng") AS "minLng", max(p."lng") AS "maxLng",
+      min(p."id") AS "id"
+    FROM "Property" p
+    WHERE ${buildSqlWhere(filters)} AND ${bboxSql(bbox)}
+    GROUP BY floor(p."lng" / ${cellDeg}), floor(p."lat" / ${cellDeg})
+  `;
+  const clusters = cells
+    .filter((c) => c.count > 1)
+    .map((c) => ({
+      lat: c.lat,
+      lng: c.lng,
+      count: c.count,
+      bounds: { minLat: c.minLat, minLng: c.minLng, maxLat: c.maxLat, maxLng: c.maxLng },
+    }));
+  const singleIds = cells.filter((c) => c.count === 1).map((c) => c.id);
+  const points = singleIds.length
+    ? await prisma.property.findMany({ where: { id: { in: singleIds } }, select: mapPinSelect })
+    : [];
+  return { total: cells.reduce((sum, c) => sum + c.count, 0), clusters, points };
+}
+
+// Map view: listings inside bbox=minLng,minLat,maxLng,maxLat, clustered below CLUSTER_MAX_ZOOM.
+// Views with more than MAP_MAX_PINS listings are clustered at any zoom.
+// zoom (0-22, default CLUSTER_MAX_ZOOM), plus the GET / filters
+router.get(
+  '/map',
+  [
+    query('bbox').custom((v) => parseBbox(v) !== null).withMessage('bbox must be minLng,minLat,maxLng,maxLat'),
+    query('zoom').optional().isInt({ min: 0, max: 22 }),
+    query('listingType').optional().isIn(LISTING_TYPES),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const bbox = parseBbox(req.query.bbox);
+    const zoom = req.query.zoom !== undefined ? Number(req.query.zoom) : CLUSTER_MAX_ZOOM;
+    try {
+      const filters = parseFilters(req.query);
+      const pins = await prisma.property.findMany({
+        where: { AND: [buildWhere(filters), bboxWhere(bbox)] },
+        select: mapPinSelect,
+        orderBy: { id: 'asc' },
+        take: MAP_MAX_PINS + 1,
+      });
+      if (pins.length > MAP_MAX_PINS) {
+        const { total, clusters, points } = await clusterInDatabase(filters, bbox, zoom);
+        return res.json({ zoom, total, clusters, items: points });
+      }
+      const { clusters, points } = clusterPoints(pins, zoom);
+      return res.json({ zoom, total: pins.length, clusters, items: points });
+    } catch (e) {
+      console.error('Map properties error:', e);
+      return res.status(500).json({ error: 'Failed to load map properties' });
+    }
+  }
+);
+
+// My listings in every status (including drafts and archived): status filter
+router.get('/mine', auth(), [query('status').optional().isIn(PROPERTY_STATUSES)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
   try {
-    const where = {};
-    if (ownerId) where.ownerId = Number(ownerId);
-    if (q) where.OR = [
-      { title: { contains: q, mode: 'insensitive' } },
-      { description: { contains: q, mode: 'insensitive' } },
-    ];
-    const items = await prisma.property.findMany({
-      where,
-      orderBy: { createdAt: 'desc' },
-    });
+    const where = { ownerId: req.user.id };
+    if (req.query.status) where.status = req.query.status;
+    const items = await prisma.property.findMany({ where, orderBy: [{ createdAt: 'desc' }, { id: 'desc' }] });
     return res.json(items);
   } catch (e) {
-    return res.status(500).json({ error: 'Failed to list properties' });
+    return res.status(500).json({ error: 'Failed to list your properties' });
   }
 });
 
 // Get single property
 router.get('/:id', async (req, res) => {
   try {
-    const item = await prisma.property.findUnique({ where: { id: Number(req.params.id) } });
-    if (!item) return res.status(404).json({ error: 'Not found' });
-    return res.json(item);
+    const item = await prisma.property.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { gallery: { orderBy: galleryOrder, select: gallerySelect } },
+    });
+    // Moderated, draft and archived listings are hidden from the public (owners use GET /properties/mine)
+    if (!item || !isVisible(item)) return res.status(404).json({ error: 'Not found' });
+    const rating = await ratingSummary({ propertyId: item.id }, 'tenant_to_owner');
+    return res.json({ ...item, rating });
   } catch (e) {
     return res.status(500).json({ error: 'Failed to get property' });
   }
@@ -95,15 +336,16 @@ router.put(
     body('title').optional().isString().isLength({ min: 2 }),
     body('description').optional({ nullable: true }).isString(),
     body('imageUrl').optional({ nullable: true }).isString(),
-    body('images').optional().isArray(),
+    body('images').optional().isArray({ max: MAX_PROPERTY_IMAGES }),
     body('location').optional({ nullable: true }).isString(),
     body('price').optional().isFloat({ gt: 0 }),
     body('lat').optional().isFloat({ min: -90, max: 90 }),
     body('lng').optional().isFloat({ min: -180, max: 180 }),
-    body('listingType').optional().isIn(['rent', 'sale']),
+    body('listingType').optional().isIn(LISTING_TYPES),
     body('bedrooms').optional({ nullable: true }).isInt({ min: 0 }),
     body('bathrooms').optional({ nullable: true }).isInt({ min: 0 }),
     body('area').optional({ nullable: true }).isString(),
+    body('availableFrom').optional({ nullable: true }).isISO8601(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -115,15 +357,13 @@ router.put(
       if (existing.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
       const { 
         title, description, imageUrl, images, location, price, 
-        lat, lng, listingType, bedrooms, bathrooms, area 
+        lat, lng, listingType, bedrooms, bathrooms, area, availableFrom
       } = req.body;
       
       // Build update data object, only including defined fields
       const updateData = {};
       if (title !== undefined) updateData.title = title;
       if (description !== undefined) updateData.description = description || null;
-      if (imageUrl !== undefined) updateData.imageUrl = imageUrl || null;
-      if (images !== undefined) updateData.images = Array.isArray(images) ? images : [];
       if (location !== undefined) updateData.location = location || null;
       if (price !== undefined) updateData.price = Number(price);
       if (lat !== undefined) updateData.lat = lat !== null ? Number(lat) : null;
@@ -132,19 +372,69 @@ router.put(
       if (bedrooms !== undefined) updateData.bedrooms = bedrooms !== null ? Number(bedrooms) : null;
       if (bathrooms !== undefined) updateData.bathrooms = bathrooms !== null ? Number(bathrooms) : null;
       if (area !== undefined) updateData.area = area || null;
+      if (availableFrom !== undefined) updateData.availableFrom = availableFrom ? new Date(availableFrom) : null;
 
-      const updated = await prisma.property.update({
-        where: { id },
-        data: updateData,
+      let dropped = [];
+      const updated = await prisma.$transaction(async (tx) => {
+        await tx.property.update({ where: { id }, data: updateData });
+        // imageUrl/images rewrite the gallery (the gallery endpoints manage it image by image)
+        if (imageUrl !== undefined || images !== undefined) {
+          const urls = images !== undefined ? (Array.isArray(images) ? images : []) : existing.images;
+          let cover = imageUrl !== undefined ? imageUrl || null : existing.imageUrl;
+          if (imageUrl === undefined && !urls.includes(cover)) cover = null;
+          dropped = await replaceGalleryUrls(tx, existing, urls, cover);
+        }
+        return tx.property.findUnique({ where: { id } });
       });
+      // Images dropped from the listing are deleted from storage once nothing else uses them
+      releaseUrls(dropped, existing.ownerId).catch((e) => console.error('image cleanup error', e));
       return res.json(updated);
     } catch (e) {
+      if (e instanceof GalleryError) return res.status(400).json({ error: e.message });
       console.error('Update property error:', e);
       return res.status(500).json({ error: 'Failed to update property' });
     }
   }
 );
 
+// Change listing status (owner-only); see OWNER_TRANSITIONS in lib/propertyLifecycle.
+// A listing with a running rental stays rented until the rental ends.
+router.patch(
+  '/:id/status',
+  auth(),
+  [body('status').isIn(PROPERTY_STATUSES), body('availableFrom').optional({ nullable: true }).isISO8601()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const { status, availableFrom } = req.body;
+    try {
+      const existing = await prisma.property.findUnique({ where: { id } });
+      if (!existing) return res.status(404).json({ error: 'Not found' });
+      if (existing.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+      const invalid = transitionError(existing, status);
+      if (invalid) return res.status(409).json({ error: invalid });
+      // Bringing a listing back from archived counts against the listing limit again
+      if (!ACTIVE_LISTING_STATUSES.includes(existing.status) && ACTIVE_LISTING_STATUSES.includes(status)) {
+        const limited = await listingLimitError(req.user);
+        if (limited) return res.status(403).json({ error: limited });
+      }
+      if (existing.status === 'rented') {
+        const active = await prisma.rental.count({ where: { propertyId: id, isActive: true } });
+        if (active) return res.status(409).json({ error: 'End the active rental before changing this listing' });
+      }
+      const data = { status };
+      if (availableFrom !== undefined) data.availableFrom = availableFrom ? new Date(availableFrom) : null;
+      if (status === 'published' && !existing.publishedAt) data.publishedAt = new Date();
+      const updated = await prisma.property.update({ where: { id }, data });
+      alertIfFirstPublished(existing, updated);
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to change property status' });
+    }
+  }
+);
+
 // Delete property (owner-only)
 router.delete('/:id', auth(), async (req, res) => {
   const id = Number(req.params.id);
@@ -152,7 +442,9 @@ router.delete('/:id', auth(), async (req, res) => {
     const existing = await prisma.property.findUnique({ where: { id } });
     if (!existing) return res.status(404).json({ error: 'Not found' });
     if (existing.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    const gallery = await prisma.propertyImage.findMany({ where: { propertyId: id } });
     await prisma.property.delete({ where: { id } });
+    releaseUrls(gallery.flatMap(variantUrls), existing.ownerId).catch((e) => console.error('image cleanup error', e));
     return res.json({ ok: true });
   } catch (e) {
     return res.status(500).json({ error: 'Failed to delete property' });
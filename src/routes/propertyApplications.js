@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { isBlockedBetween } = require('../lib/blocks');
+const { isVisible, isOpen } = require('../lib/propertyLifecycle');
+const {
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  applicationInclude,
+  notifyApplication,
+} = require('../lib/applications');
+
+// Mounted at /properties/:id: rental applications for one listing
+const router = express.Router({ mergeParams: true });
+
+// Apply to rent a listing
+router.post(
+  '/applications',
+  auth(),
+  requireVerified,
+  [
+    body('moveInDate').isISO8601(),
+    body('occupants').isInt({ min: 1, max: 20 }),
+    body('monthlyIncome').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('message').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const propertyId = Number(req.params.id);
+    const me = req.user.id;
+    const moveInDate = new Date(req.body.moveInDate);
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    if (moveInDate < today) return res.status(400).json({ error: 'moveInDate cannot be in the past' });
+    try {
+      const property = await prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { ownerId: true, hiddenAt: true, status: true, listingType: true },
+      });
+      if (!property || !isVisible(property)) return res.status(404).json({ error: 'Property not found' });
+      if (property.ownerId === me) return res.status(400).json({ error: 'You cannot apply for your own property' });
+      if (property.listingType !== 'rent') return res.status(400).json({ error: 'Only rental listings accept applications' });
+      if (!isOpen(property)) return res.status(409).json({ error: 'Property is not available' });
+      if (await isBlockedBetween(me, property.ownerId)) return res.status(403).json({ error: 'You cannot apply for this property' });
+      const open = await prisma.rentalApplication.findFirst({
+        where: { propertyId, applicantId: me, status: { in: OPEN_APPLICATION_STATUSES } },
+        select: { id: true },
+      });
+      if (open) return res.status(409).json({ error: 'You already have an open application for this property', applicationId: open.id });
+
+      const application = await prisma.$transaction(async (tx) => {
+        const created = await tx.rentalApplication.create({
+          data: {
+            propertyId,
+            applicantId: me,
+            moveInDate,
+            occupants: Number(req.body.occupants),
+            monthlyIncome: req.body.monthlyIncome != null ? Number(req.body.monthlyIncome) : null,
+            message: req.body.message || null,
+          },
+          include: applicationInclude,
+        });
+        await tx.rentalApplicationEvent.create({
+          data: { applicationId: created.id, fromStatus: null, toStatus: 'submitted', actorId: me },
+        });
+        return created;
+      });
+      await notifyApplication(property.ownerId, application);
+      return res.status(201).json(application);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to submit application' });
+    }
+  }
+);
+
+// Applications for the listing (owner), oldest first: status filter
+router.get(
+  '/applications',
+  auth(),
+  [query('status').optional().isIn(APPLICATION_STATUSES)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const propertyId = Number(req.params.id);
+    try {
+      const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { ownerId: true } });
+      if (!property) return res.status(404).json({ error: 'Property not found' });
+      if (property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+      const where = { propertyId };
+      if (req.query.status) where.status = req.query.status;
+      const items = await prisma.rentalApplication.findMany({
+        where,
+        include: applicationInclude,
+        orderBy: { createdAt: 'asc' },
+      });
+      return res.json(items);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list applications' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { isVisible } = require('../lib/propertyLifecycle');
+const { releaseUrls } = require('../lib/uploads');
+const { VARIANT_MIME_TYPE } = require('../lib/images');
+const { MAX_BATCH_IMAGES } = require('../upload');
+const {
+  MAX_PROPERTY_IMAGES,
+  MAX_CAPTION_LENGTH,
+  galleryOrder,
+  gallerySelect,
+  variantUrls,
+  syncGallery,
+} = require('../lib/propertyImages');
+
+// Mounted at /properties/:id: the listing's photo gallery. Photos are uploaded first through
+// POST /upload/images (or /upload/image) and then added here by URL.
+const router = express.Router({ mergeParams: true });
+
+// Property when the caller owns it; otherwise answers the request and returns null
+async function loadOwned(req, res) {
+  const property = await prisma.property.findUnique({ where: { id: Number(req.params.id) } });
+  if (!property) {
+    res.status(404).json({ error: 'Property not found' });
+    return null;
+  }
+  if (property.ownerId !== req.user.id) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return property;
+}
+
+function listGallery(propertyId) {
+  return prisma.propertyImage.findMany({ where: { propertyId }, orderBy: galleryOrder, select: gallerySelect });
+}
+
+// Gallery in display order (anyone for visible listings, the owner always)
+router.get('/images', auth(), async (req, res) => {
+  const propertyId = Number(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true, hiddenAt: true, status: true },
+    });
+    if (!property || (!isVisible(property) && property.ownerId !== req.user.id)) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+    return res.json(await listGallery(propertyId));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list images' });
+  }
+});
+
+// Add uploaded photos (owner): images: [{ url, mediumUrl, thumbnailUrl, width, height, caption }]
+// as returned by /upload/images (imageUrl is accepted for url). They go to the end of the gallery;
+// the first photo of an empty gallery becomes the cover.
+router.post(
+  '/images',
+  auth(),
+  [
+    body('images').isArray({ min: 1, max: MAX_BATCH_IMAGES }),
+    body('images.*').isObject(),
+    body('images.*.url').optional().isString(),
+    body('images.*.imageUrl').optional().isString(),
+    body('images.*.mediumUrl').optional().isString(),
+    body('images.*.thumbnailUrl').optional().isString(),
+    body('images.*.width').optional({ nullable: true }).isInt({ gt: 0 }),
+    body('images.*.height').optional({ nullable: true }).isInt({ gt: 0 }),
+    body('images.*.caption').optional({ nullable: true }).isString().trim().isLength({ max: MAX_CAPTION_LENGTH }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const incoming = req.body.images.map((img) => {
+      const url = img.url || img.imageUrl;
+      return {
+        url,
+        mediumUrl: img.mediumUrl || url,
+        thumbnailUrl: img.thumbnailUrl || url,
+        width: img.width ? Number(img.width) : null,
+        height: img.height ? Number(img.height) : null,
+        caption: img.caption || null,
+      };
+    });
+    if (incoming.some((img) => !img.url)) return res.status(400).json({ error: 'Each image needs a url' });
+    try {
+      const property = await loadOwned(req, res);
+      if (!property) return;
+
+      // Every URL must be one of my processed photos
+      const urls = [...new Set(incoming.flatMap(variantUrls))];
+      const owned = await prisma.upload.findMany({
+        where: { url: { in: urls }, ownerId: me, mimeType: VARIANT_MIME_TYPE },
+        select: { url: true },
+      });
+      const missing = urls.filter((url) => !owned.some((u) => u.url === url));
+      if (missing.length) return res.status(400).json({ error: 'Images must be uploaded through /upload/image first', missing });
+
+      const gallery = await prisma.$transaction(async (tx) => {
+        const existing = await tx.propertyImage.findMany({ where: { propertyId: property.id }, select: { url: true } });
+        // Skip photos already in the gallery (and repeats within the request)
+        const seen = new Set(existing.map((e) => e.url));
+        const fresh = incoming.filter((img) => !seen.has(img.url) && seen.add(img.url));
+        if (existing.length + fresh.length > MAX_PROPERTY_IMAGES) return null;
+        await tx.propertyImage.createMany({
+          data: fresh.map((img, i) => ({ propertyId: property.id, ...img, position: existing.length + i })),
+        });
+        return syncGallery(tx, property.id);
+      });
+      if (!gallery) return res.status(409).json({ error: `A listing can have at most ${MAX_PROPERTY_IMAGES} photos` });
+      return res.status(201).json(gallery);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to add images' });
+    }
+  }
+);
+
+// New display order (owner): order is every image id of the gallery, first to last
+router.put(
+  '/images/order',
+  auth(),
+  [body('order').isArray({ min: 1, max: MAX_PROPERTY_IMAGES }), body('order.*').isInt({ gt: 0 }).toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const order = req.body.order;
+    try {
+      const property = await loadOwned(req, res);
+      if (!property) return;
+      const gallery = await prisma.$transaction(async (tx) => {
+        const rows = await tx.propertyImage.findMany({ where: { propertyId: property.id }, select: { id: true } });
+        const ids = rows.map((r) => r.id);
+        const isPermutation =
+          order.length === ids.length && new Set(order).size === order.length && order.every((id) => ids.includes(id));
+        if (!isPermutation) return null;
+        return syncGallery(tx, property.id, { order });
+      });
+      if (!gallery) return res.status(400).json({ error: 'order must list every image of the gallery exactly once' });
+      return res.json(gallery);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to reorder images' });
+    }
+  }
+);
+
+// Edit a caption (owner); an empty caption clears it
+router.patch(
+  '/images/:imageId',
+  auth(),
+  [body('caption').optional({ nullable: true }).isString().trim().isLength({ max: MAX_CAPTION_LENGTH })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const property = await loadOwned(req, res);
+      if (!property) return;
+      const { count } = await prisma.propertyImage.updateMany({
+        where: { id: Number(req.params.imageId), propertyId: property.id },
+        data: { caption: req.body.caption || null },
+      });
+      if (!count) return res.status(404).json({ error: 'Image not found' });
+      const image = await prisma.propertyImage.findUnique({
+        where: { id: Number(req.params.imageId) },
+        select: gallerySelect,
+      });
+      return res.json(image);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to update image' });
+    }
+  }
+);
+
+// Make an image the cover (owner); it also becomes the listing's imageUrl
+router.post('/images/:imageId/cover', auth(), async (req, res) => {
+  const imageId = Number(req.params.imageId);
+  try {
+    const property = await loadOwned(req, res);
+    if (!property) return;
+    const image = await prisma.propertyImage.findFirst({ where: { id: imageId, propertyId: property.id } });
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+    const gallery = await prisma.$transaction((tx) => syncGallery(tx, property.id, { coverId: imageId }));
+    return res.json(gallery);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to set cover image' });
+  }
+});
+
+// Remove a photo (owner). The next image becomes the cover if needed, and the stored files are
+// deleted once nothing else uses them.
+router.delete('/images/:imageId', auth(), async (req, res) => {
+  const imageId = Number(req.params.imageId);
+  try {
+    const property = await loadOwned(req, res);
+    if (!property) return;
+    const image = await prisma.propertyImage.findFirst({ where: { id: imageId, propertyId: property.id } });
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+    const gallery = await prisma.$transaction(async (tx) => {
+      await tx.propertyImage.delete({ where: { id: imageId } });
+      return syncGallery(tx, property.id);
+    });
+    releaseUrls(variantUrls(image), property.ownerId).catch((e) => console.error('image cleanup error', e));
+    return res.json(gallery);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { isBlockedBetween } = require('../lib/blocks');
+const { isVisible, isOpen } = require('../lib/propertyLifecycle');
+const { findOrCreateChat } = require('../lib/chatMessages');
+const {
+  VIEWING_STATUSES,
+  ACTIVE_VIEWING_STATUSES,
+  MAX_SLOT_MINUTES,
+  SlotUnavailableError,
+  viewingInclude,
+  claimSlot,
+  notifyViewing,
+} = require('../lib/viewings');
+
+// Mounted at /properties/:id: availability slots and viewing bookings for one property
+const router = express.Router({ mergeParams: true });
+
+const MAX_SLOTS_PER_REQUEST = 50;
+
+function overlaps(a, b) {
+  return a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+}
+
+// Upcoming slots. Everyone sees the free ones; the owner also sees booked slots and who holds them.
+router.get('/availability', auth(), async (req, res) => {
+  const propertyId = Number(req.params.id);
+  try {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true, hiddenAt: true, status: true },
+    });
+    const isOwner = property?.ownerId === req.user.id;
+    if (!property || (!isVisible(property) && !isOwner)) return res.status(404).json({ error: 'Property not found' });
+    const slots = await prisma.viewingSlot.findMany({
+      where: { propertyId, startsAt: { gt: new Date() }, ...(isOwner ? {} : { bookedAt: null }) },
+      orderBy: { startsAt: 'asc' },
+      ...(isOwner
+        ? {
+          include: {
+            viewings: {
+              where: { status: { in: ACTIVE_VIEWING_STATUSES } },
+              select: { id: true, status: true, renter: { select: { id: true, name: true } } },
+            },
+          },
+        }
+        : {}),
+    });
+    return res.json(slots);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list availability' });
+  }
+});
+
+// Publish availability (owner): slots: [{ startsAt, endsAt }], future, non-overlapping, up to 4 hours each
+router.post(
+  '/availability',
+  auth(),
+  [
+    body('slots').isArray({ min: 1, max: MAX_SLOTS_PER_REQUEST }),
+    body('slots.*.startsAt').isISO8601(),
+    body('slots.*.endsAt').isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const propertyId = Number(req.params.id);
+    const now = new Date();
+    const slots = req.body.slots.map((s) => ({ startsAt: new Date(s.startsAt), endsAt: new Date(s.endsAt) }));
+    for (const [i, s] of slots.entries()) {
+      if (s.startsAt <= now) return res.status(400).json({ error: `slots[${i}] must start in the future` });
+      const minutes = (s.endsAt - s.startsAt) / 60000;
+      if (minutes <= 0 || minutes > MAX_SLOT_MINUTES) {
+        return res.status(400).json({ error: `slots[${i}] must end after it starts and last at most ${MAX_SLOT_MINUTES} minutes` });
+      }
+      if (slots.some((other, j) => j < i && overlaps(s, other))) {
+        return res.status(400).json({ error: `slots[${i}] overlaps another slot in the request` });
+      }
+    }
+    try {
+      const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { ownerId: true } });
+      if (!property) return res.status(404).json({ error: 'Property not found' });
+      if (property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+      const earliest = new Date(Math.min(...slots.map((s) => s.startsAt)));
+      const latest = new Date(Math.max(...slots.map((s) => s.endsAt)));
+      const existing = await prisma.viewingSlot.findMany({
+        where: { propertyId, startsAt: { lt: latest }, endsAt: { gt: earliest } },
+      });
+      const clash = slots.findIndex((s) => existing.some((e) => overlaps(s, e)));
+      if (clash !== -1) return res.status(409).json({ error: `slots[${clash}] overlaps an existing slot` });
+      const created = await prisma.$transaction(
+        slots.map((s) => prisma.viewingSlot.create({ data: { propertyId, ...s } }))
+      );
+      return res.status(201).json(created);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to publish availability' });
+    }
+  }
+);
+
+// Withdraw a slot that nobody has booked (owner)
+router.delete('/availability/:slotId', auth(), async (req, res) => {
+  const propertyId = Number(req.params.id);
+  const slotId = Number(req.params.slotId);
+  try {
+    const slot = await prisma.viewingSlot.findFirst({
+      where: { id: slotId, propertyId },
+      include: { property: { select: { ownerId: true } }, _count: { select: { viewings: true } } },
+    });
+    if (!slot) return res.status(404).json({ error: 'Slot not found' });
+    if (slot.property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (slot.bookedAt) return res.status(409).json({ error: 'Slot is booked; cancel or reschedule the viewing first' });
+    // Slots that earlier (cancelled) viewings point at can't be deleted; marking them taken stops them being offered
+    if (slot._count.viewings) {
+      await prisma.viewingSlot.update({ where: { id: slotId }, data: { bookedAt: new Date() } });
+    } else {
+      await prisma.viewingSlot.delete({ where: { id: slotId } });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to remove slot' });
+  }
+});
+
+// Book a viewing in one of the property's free slots. The booking is linked to the
+// property-scoped chat between renter and owner (created if needed).
+router.post(
+  '/viewings',
+  auth(),
+  requireVerified,
+  [body('slotId').isInt({ gt: 0 }), body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const propertyId = Number(req.params.id);
+    const me = req.user.id;
+    try {
+      const property = await prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { ownerId: true, hiddenAt: true, status: true },
+      });
+      if (!property || !isVisible(property)) return res.status(404).json({ error: 'Property not found' });
+      if (!isOpen(property)) return res.status(409).json({ error: 'Property is not open for viewings' });
+      if (property.ownerId === me) return res.status(400).json({ error: 'You cannot book a viewing of your own property' });
+      if (await isBlockedBetween(me, property.ownerId)) return res.status(403).json({ error: 'You cannot book a viewing with this owner' });
+      const active = await prisma.viewing.findFirst({
+        where: { propertyId, renterId: me, status: { in: ACTIVE_VIEWING_STATUSES } },
+        select: { id: true },
+      });
+      if (active) return res.status(409).json({ error: 'You already have a viewing booked for this property', viewingId: active.id });
+
+      const chat = await findOrCreateChat(me, property.ownerId, propertyId);
+      const viewing = await prisma.$transaction(async (tx) => {
+        await claimSlot(tx, propertyId, Number(req.body.slotId));
+        return tx.viewing.create({
+          data: { propertyId, slotId: Number(req.body.slotId), renterId: me, chatId: chat.id, note: req.body.note || null },
+          include: viewingInclude,
+        });
+      });
+      await notifyViewing(property.ownerId, viewing, 'New viewing request');
+      return res.status(201).json(viewing);
+    } catch (e) {
+      if (e instanceof SlotUnavailableError) return res.status(409).json({ error: e.message });
+      return res.status(500).json({ error: 'Failed to book viewing' });
+    }
+  }
+);
+
+// Bookings for the property (owner): status filter, upcoming=true for future slots only
+router.get(
+  '/viewings',
+  auth(),
+  [query('status').optional().isIn(VIEWING_STATUSES), query('upcoming').optional().isBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const propertyId = Number(req.params.id);
+    try {
+      const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { ownerId: true } });
+      if (!property) return res.status(404).json({ error: 'Property not found' });
+      if (property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+      const where = { propertyId };
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.upcoming === 'true') where.slot = { startsAt: { gt: new Date() } };
+      const viewings = await prisma.viewing.findMany({
+        where,
+        include: viewingInclude,
+        orderBy: { slot: { startsAt: 'asc' } },
+      });
+      return res.json(viewings);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list viewings' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,14 +2,52 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { RECURRENCE_TYPES, nextOccurrence } = require('../lib/recurrence');
 
 const router = express.Router();
 
-// List my custom reminders
+// Shared validators for the optional `recurrence` object and `leadDays` (days before dueDate to notify)
+const recurrenceValidators = [
+  body('recurrence').optional({ nullable: true }).isObject(),
+  body('recurrence.type').if(body('recurrence').exists({ values: 'null' })).isIn(RECURRENCE_TYPES),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 52 }),
+  body('recurrence.dayOfMonth').optional().isInt({ min: 1, max: 31 }),
+  body('recurrence.count').optional({ nullable: true }).isInt({ min: 1, max: 1000 }),
+  body('recurrence.until').optional({ nullable: true }).isISO8601(),
+  body('leadDays').optional().isArray({ max: 5 }),
+  body('leadDays.*').isInt({ min: 0, max: 30 }),
+];
+
+// Map the request's `recurrence` object onto columns; null clears recurrence
+function recurrenceData(recurrence, dueDate) {
+  if (!recurrence) {
+    return { recurrenceType: null, recurrenceInterval: 1, recurrenceDay: null, recurrenceCount: null, recurrenceUntil: null };
+  }
+  return {
+    recurrenceType: recurrence.type,
+    recurrenceInterval: recurrence.interval ? Number(recurrence.interval) : 1,
+    // Pin monthly reminders to a day so short months don't shift later occurrences
+    recurrenceDay: recurrence.type === 'monthly'
+      ? Number(recurrence.dayOfMonth || new Date(dueDate).getUTCDate())
+      : null,
+    recurrenceCount: recurrence.count ? Number(recurrence.count) : null,
+    recurrenceUntil: recurrence.until ? new Date(recurrence.until) : null,
+  };
+}
+
+function uniqueLeadDays(leadDays) {
+  return [...new Set(leadDays.map(Number))].sort((a, b) => b - a);
+}
+
+// List my custom reminders (?status=active|completed to filter)
 router.get('/', auth(), async (req, res) => {
   try {
+    const where = { userId: req.user.id };
+    if (req.query.status === 'active') where.completedAt = null;
+    if (req.query.status === 'completed') where.completedAt = { not: null };
     const items = await prisma.customReminder.findMany({
-      where: { userId: req.user.id },
+      where,
       orderBy: { dueDate: 'asc' },
     });
     return res.json(items);
@@ -28,12 +66,13 @@ router.post(
     body('counterparty').optional().isString(),
     body('amount').optional().isFloat({ gt: 0 }),
     body('dueDate').isISO8601(),
+    ...recurrenceValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { role, propertyTitle, counterparty, amount, dueDate } = req.body;
+    const { role, propertyTitle, counterparty, amount, dueDate, recurrence, leadDays } = req.body;
     try {
       const created = await prisma.customReminder.create({
         data: {
@@ -43,6 +82,8 @@ router.post(
           counterparty: counterparty || null,
           amount: amount != null ? Number(amount) : null,
           dueDate: new Date(dueDate),
+          ...recurrenceData(recurrence, dueDate),
+          ...(leadDays ? { leadDays: uniqueLeadDays(leadDays) } : {}),
         },
       });
       return res.status(201).json(created);
@@ -52,15 +93,17 @@ router.post(
   }
 );
 
-// Update custom reminder (used for mark-paid or edits)
-router.patch('/:id', auth(), async (req, res) => {
+// Update custom reminder details, recurrence or lead times (use POST /:id/paid to mark paid)
+router.patch('/:id', auth(), recurrenceValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
   const id = Number(req.params.id);
   if (!id) return res.status(400).json({ error: 'Invalid id' });
 
-  const { role, propertyTitle, counterparty, amount, dueDate } = req.body;
+  const { role, propertyTitle, counterparty, amount, dueDate, recurrence, leadDays } = req.body;
   try {
     const existing = await prisma.customReminder.findUnique({ where: { id } });
-    if (!existing || (existing.userId !== req.user.id && req.user.role !== 'admin')) {
+    if (!existing || (existing.userId !== req.user.id && !can(req.user, 'reminders:manage_any'))) {
       return res.status(404).json({ error: 'Reminder not found' });
     }
 
@@ -72,6 +115,8 @@ router.patch('/:id', auth(), async (req, res) => {
         counterparty: counterparty !== undefined ? counterparty : existing.counterparty,
         amount: amount !== undefined ? (amount != null ? Number(amount) : null) : existing.amount,
         dueDate: dueDate ? new Date(dueDate) : existing.dueDate,
+        ...(recurrence !== undefined ? recurrenceData(recurrence, dueDate || existing.dueDate) : {}),
+        ...(leadDays ? { leadDays: uniqueLeadDays(leadDays) } : {}),
       },
     });
     return res.json(updated);
@@ -80,6 +125,73 @@ router.patch('/:id', auth(), async (req, res) => {
   }
 });
 
+// Mark the current occurrence paid: it is kept in the history and a recurring reminder rolls
+// forward to its next due date (one-offs and finished series are marked completed)
+router.post(
+  '/:id/paid',
+  auth(),
+  [body('paidAt').optional().isISO8601(), body('amount').optional({ nullable: true }).isFloat({ gt: 0 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    try {
+      const existing = await prisma.customReminder.findUnique({ where: { id } });
+      if (!existing || (existing.userId !== req.user.id && !can(req.user, 'reminders:manage_any'))) {
+        return res.status(404).json({ error: 'Reminder not found' });
+      }
+      if (existing.completedAt) return res.status(409).json({ error: 'Reminder is already completed' });
+
+      const next = nextOccurrence(existing);
+      // Roll the reminder forward only from the due date read above, so a double submit records one payment
+      const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.customReminder.updateMany({
+          where: { id, dueDate: existing.dueDate, completedAt: null },
+          data: next
+            ? { dueDate: next, occurrenceIndex: existing.occurrenceIndex + 1 }
+            : { completedAt: new Date() },
+        });
+        if (count !== 1) return null;
+        const occurrence = await tx.customReminderOccurrence.create({
+          data: {
+            reminderId: id,
+            dueDate: existing.dueDate,
+            amount: req.body.amount != null ? Number(req.body.amount) : existing.amount,
+            paidAt: req.body.paidAt ? new Date(req.body.paidAt) : new Date(),
+          },
+        });
+        const updated = await tx.customReminder.findUnique({ where: { id } });
+        return { occurrence, updated };
+      });
+      if (!result) return res.status(409).json({ error: 'Reminder was already updated, reload and try again' });
+      const { occurrence, updated } = result;
+      return res.json({ reminder: updated, occurrence });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to mark reminder paid' });
+    }
+  }
+);
+
+// Paid occurrences of a reminder, newest first
+router.get('/:id/history', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const existing = await prisma.customReminder.findUnique({ where: { id } });
+    if (!existing || (existing.userId !== req.user.id && !can(req.user, 'reminders:manage_any'))) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    const items = await prisma.customReminderOccurrence.findMany({
+      where: { reminderId: id },
+      orderBy: { dueDate: 'desc' },
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to load reminder history' });
+  }
+});
+
 // Delete custom reminder
 router.delete('/:id', auth(), async (req, res) => {
   const id = Number(req.params.id);
@@ -87,11 +199,15 @@ router.delete('/:id', auth(), async (req, res) => {
 
   try {
     const existing = await prisma.customReminder.findUnique({ where: { id } });
-    if (!existing || (existing.userId !== req.user.id && req.user.role !== 'admin')) {
+    if (!existing || (existing.userId !== req.user.id && !can(req.user, 'reminders:manage_any'))) {
       return res.status(404).json({ error: 'Reminder not found' });
     }
 
-    await prisma.customReminder.delete({ where: { id } });
+    await prisma.$transaction([
+      prisma.customReminderOccurrence.deleteMany({ where: { reminderId: id } }),
+      prisma.customReminderDelivery.deleteMany({ where: { reminderId: id } }),
+      prisma.customReminder.delete({ where: { id } }),
+    ]);
     return res.json({ ok: true });
   } catch (e) {
     return res.status(500).json({ error: 'Failed to delete reminder' });
@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { canAccessRental } = require('../lib/permissions');
+const {
+  buildLeaseTerms,
+  renderLease,
+  hashDocument,
+  acceptanceHash,
+  acceptanceMatches,
+  leaseSelect,
+  notifyLease,
+} = require('../lib/leases');
+
+// Mounted at /rentals/:id/leases
+const router = express.Router({ mergeParams: true });
+
+const termsRules = [
+  body('rentAmount').optional().isFloat({ gt: 0 }),
+  body('currency').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 8 }),
+  body('deposit').optional().isFloat({ min: 0 }),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional({ nullable: true }).isISO8601(),
+  body('noticePeriodDays').optional().isInt({ min: 0, max: 365 }),
+  body('standardClauses').optional().isBoolean(),
+  body('clauses').optional().isArray({ max: 50 }),
+  body('clauses.*.title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('clauses.*.text').isString().trim().isLength({ min: 1, max: 5000 }),
+];
+
+const TERM_FIELDS = [
+  'rentAmount',
+  'currency',
+  'deposit',
+  'startDate',
+  'endDate',
+  'noticePeriodDays',
+  'standardClauses',
+  'clauses',
+];
+
+function termsInput(reqBody) {
+  const input = {};
+  for (const key of TERM_FIELDS) if (reqBody[key] !== undefined) input[key] = reqBody[key];
+  return input;
+}
+
+function termError(terms) {
+  if (terms.endDate && new Date(terms.endDate) <= new Date(terms.startDate)) return 'endDate must be after startDate';
+  return null;
+}
+
+// Rental with the parties the template needs, plus the caller's side: the borrower is the tenant,
+// everyone else with access (the owner, or staff with rentals:manage_any) acts as the owner
+async function loadRental(req, res) {
+  const rental = await prisma.rental.findUnique({
+    where: { id: Number(req.params.id) },
+    include: {
+      property: { include: { owner: { select: { id: true, name: true, email: true } } } },
+      borrower: { select: { id: true, name: true, email: true } },
+    },
+  });
+  if (!rental) {
+    res.status(404).json({ error: 'Rental not found' });
+    return null;
+  }
+  if (!canAccessRental(req.user, rental)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return { rental, role: rental.borrowerId === req.user.id ? 'tenant' : 'owner' };
+}
+
+// Tenants never see drafts
+async function loadLease(rental, role, leaseId, select = leaseSelect) {
+  const lease = await prisma.leaseAgreement.findFirst({ where: { id: leaseId, rentalId: rental.id }, select });
+  if (!lease || (role === 'tenant' && lease.status === 'draft')) return null;
+  return lease;
+}
+
+// All versions of the rental's lease, newest first
+router.get('/', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const where = { rentalId: loaded.rental.id };
+    if (loaded.role === 'tenant') where.status = { not: 'draft' };
+    const items = await prisma.leaseAgreement.findMany({ where, select: leaseSelect, orderBy: { version: 'desc' } });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list lease agreements' });
+  }
+});
+
+// Draft a new version (owner). Once a version has been accepted the next one is a renewal: it
+// links to it and starts from its terms, beginning where the accepted term ends.
+router.post('/', auth(), termsRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const me = req.user.id;
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const { rental, role } = loaded;
+    if (role !== 'owner') return res.status(403).json({ error: 'Only the owner can draft a lease' });
+    if (!rental.isActive) return res.status(409).json({ error: 'Rental has ended' });
+
+    const versions = await prisma.leaseAgreement.findMany({
+      where: { rentalId: rental.id },
+      select: { id: true, version: true, status: true, terms: true },
+      orderBy: { version: 'desc' },
+    });
+    const pending = versions.find((v) => v.status === 'draft' || v.status === 'sent');
+    if (pending) {
+      return res.status(409).json({ error: `Version ${pending.version} is still ${pending.status}`, leaseId: pending.id });
+    }
+    const current = versions.find((v) => v.status === 'accepted');
+    const base = current
+      ? { ...current.terms, startDate: current.terms.endDate || new Date().toISOString(), endDate: null }
+      : null;
+    const terms = buildLeaseTerms(rental, termsInput(req.body), base);
+    const invalid = termError(terms);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const lease = await prisma.leaseAgreement.create({
+      data: {
+        rentalId: rental.id,
+        version: (versions[0]?.version || 0) + 1,
+        previousId: current?.id ?? null,
+        terms,
+        createdById: me,
+      },
+      select: leaseSelect,
+    });
+    return res.status(201).json(lease);
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: 'Another version was created at the same time' });
+    return res.status(500).json({ error: 'Failed to create lease agreement' });
+  }
+});
+
+router.get('/:leaseId', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const lease = await loadLease(loaded.rental, loaded.role, Number(req.params.leaseId));
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    return res.json(lease);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get lease agreement' });
+  }
+});
+
+// Edit a draft (owner); fields left out keep their current values
+router.put('/:leaseId', auth(), termsRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const { rental, role } = loaded;
+    if (role !== 'owner') return res.status(403).json({ error: 'Only the owner can edit a lease' });
+    const lease = await loadLease(rental, role, Number(req.params.leaseId));
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    if (lease.status !== 'draft') return res.status(409).json({ error: 'Only drafts can be edited' });
+    const terms = buildLeaseTerms(rental, termsInput(req.body), lease.terms);
+    const invalid = termError(terms);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const { count } = await prisma.leaseAgreement.updateMany({
+      where: { id: lease.id, status: 'draft' },
+      data: { terms },
+    });
+    if (count !== 1) return res.status(409).json({ error: 'Only drafts can be edited' });
+    return res.json(await prisma.leaseAgreement.findUnique({ where: { id: lease.id }, select: leaseSelect }));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to update lease agreement' });
+  }
+});
+
+// Download a version. Drafts are a live preview; sent and later versions are the frozen document.
+router.get('/:leaseId/pdf', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const lease = await loadLease(loaded.rental, loaded.role, Number(req.params.leaseId), {
+      ...leaseSelect,
+      pdf: true,
+    });
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    const pdf = lease.pdf ? Buffer.from(lease.pdf) : await renderLease(lease);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="lease-${lease.rentalId}-v${lease.version}.pdf"`,
+    });
+    if (lease.documentHash) res.set('X-Document-Hash', lease.documentHash);
+    return res.send(pdf);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to render lease agreement' });
+  }
+});
+
+// Freeze the draft's PDF and send it to the tenant for acceptance (owner)
+router.post('/:leaseId/send', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const { rental, role } = loaded;
+    if (role !== 'owner') return res.status(403).json({ error: 'Only the owner can send a lease' });
+    const lease = await loadLease(rental, role, Number(req.params.leaseId));
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    if (lease.status !== 'draft') return res.status(409).json({ error: `Lease agreement is already ${lease.status}` });
+
+    const pdf = await renderLease(lease);
+    const { count } = await prisma.leaseAgreement.updateMany({
+      where: { id: lease.id, status: 'draft' },
+      data: { status: 'sent', pdf, documentHash: hashDocument(pdf), sentAt: new Date() },
+    });
+    if (count !== 1) return res.status(409).json({ error: 'Lease agreement was changed by someone else' });
+    const sent = await prisma.leaseAgreement.findUnique({ where: { id: lease.id }, select: leaseSelect });
+    await notifyLease(rental.borrowerId, sent, rental.property.title);
+    return res.json(sent);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to send lease agreement' });
+  }
+});
+
+// Accept a sent version (tenant). documentHash must be the hash of the document the tenant
+// reviewed (X-Document-Hash on the download), so acceptance is tied to those exact bytes.
+router.post(
+  '/:leaseId/accept',
+  auth(),
+  [body('documentHash').isHexadecimal().isLength({ min: 64, max: 64 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    try {
+      const loaded = await loadRental(req, res);
+      if (!loaded) return;
+      const { rental, role } = loaded;
+      if (role !== 'tenant') return res.status(403).json({ error: 'Only the tenant can accept a lease' });
+      const lease = await loadLease(rental, role, Number(req.params.leaseId));
+      if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+      if (lease.status !== 'sent') return res.status(409).json({ error: `Lease agreement is ${lease.status}` });
+      if (req.body.documentHash.toLowerCase() !== lease.documentHash) {
+        return res.status(409).json({ error: 'Document has changed; download it again before accepting' });
+      }
+
+      const acceptedAt = new Date();
+      const accepted = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.leaseAgreement.updateMany({
+          where: { id: lease.id, status: 'sent' },
+          data: {
+            status: 'accepted',
+            acceptedAt,
+            acceptedById: me,
+            acceptanceHash: acceptanceHash(lease, me, acceptedAt),
+            acceptedIp: req.ip || null,
+            acceptedUserAgent: req.get('user-agent')?.slice(0, 500) || null,
+          },
+        });
+        if (count !== 1) return null;
+        await tx.leaseAgreement.updateMany({
+          where: { rentalId: rental.id, status: 'accepted', id: { not: lease.id } },
+          data: { status: 'superseded' },
+        });
+        return tx.leaseAgreement.findUnique({ where: { id: lease.id }, select: leaseSelect });
+      });
+      if (!accepted) return res.status(409).json({ error: 'Lease agreement was changed by someone else' });
+      await notifyLease(rental.property.ownerId, accepted, rental.property.title);
+      return res.json(accepted);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to accept lease agreement' });
+    }
+  }
+);
+
+// Withdraw a draft or an unaccepted version (owner)
+router.post('/:leaseId/void', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const { rental, role } = loaded;
+    if (role !== 'owner') return res.status(403).json({ error: 'Only the owner can void a lease' });
+    const lease = await loadLease(rental, role, Number(req.params.leaseId));
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    const { count } = await prisma.leaseAgreement.updateMany({
+      where: { id: lease.id, status: { in: ['draft', 'sent'] } },
+      data: { status: 'void' },
+    });
+    if (count !== 1) return res.status(409).json({ error: `Cannot void a ${lease.status} lease agreement` });
+    const voided = await prisma.leaseAgreement.findUnique({ where: { id: lease.id }, select: leaseSelect });
+    if (lease.status === 'sent') await notifyLease(rental.borrowerId, voided, rental.property.title);
+    return res.json(voided);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to void lease agreement' });
+  }
+});
+
+// Check that the stored document still matches its hash and that the acceptance record is intact
+router.get('/:leaseId/verify', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const lease = await loadLease(loaded.rental, loaded.role, Number(req.params.leaseId), {
+      ...leaseSelect,
+      pdf: true,
+    });
+    if (!lease) return res.status(404).json({ error: 'Lease agreement not found' });
+    if (!lease.pdf) return res.status(409).json({ error: 'Lease agreement has not been sent' });
+    const documentValid = hashDocument(Buffer.from(lease.pdf)) === lease.documentHash;
+    const acceptanceValid = lease.acceptedAt ? acceptanceMatches(lease) : null;
+    return res.json({
+      id: lease.id,
+      version: lease.version,
+      status: lease.status,
+      documentHash: lease.documentHash,
+      documentValid,
+      acceptedAt: lease.acceptedAt,
+      acceptedById: lease.acceptedById,
+      acceptanceHash: lease.acceptanceHash,
+      acceptanceValid,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to verify lease agreement' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { canAccessRental } = require('../lib/permissions');
+const { VARIANT_MIME_TYPE } = require('../lib/images');
+const {
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+  MAX_MAINTENANCE_PHOTOS,
+  maintenanceInclude,
+  eventInclude,
+  allowedActor,
+  notifyMaintenance,
+} = require('../lib/maintenance');
+
+// Mounted at /rentals/:id/maintenance
+const router = express.Router({ mergeParams: true });
+
+// Photo urls must be images the caller uploaded through POST /upload/image
+const photosRule = (field) =>
+  body(field)
+    .optional()
+    .isArray({ max: MAX_MAINTENANCE_PHOTOS })
+    .custom(async (photos, { req }) => {
+      if (!photos.every((url) => typeof url === 'string')) throw new Error();
+      const urls = [...new Set(photos)];
+      const count = await prisma.upload.count({
+        where: { url: { in: urls }, ownerId: req.user.id, mimeType: VARIANT_MIME_TYPE },
+      });
+      if (count !== urls.length) throw new Error();
+    })
+    .withMessage('photos must be urls returned by /upload/image');
+
+// Rental plus the caller's side of it: the borrower is the tenant, everyone else with access
+// (the owner, or staff with rentals:manage_any) acts as the owner
+async function loadRental(req, res) {
+  const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id: Number(req.params.id) } });
+  if (!rental) {
+    res.status(404).json({ error: 'Rental not found' });
+    return null;
+  }
+  if (!canAccessRental(req.user, rental)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return { rental, role: rental.borrowerId === req.user.id ? 'tenant' : 'owner' };
+}
+
+async function loadRequest(rental, requestId) {
+  return prisma.maintenanceRequest.findFirst({ where: { id: requestId, rentalId: rental.id }, include: maintenanceInclude });
+}
+
+// Tickets for a rental, newest first: status filter
+router.get('/', auth(), [query('status').optional().isIn(MAINTENANCE_STATUSES)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const where = { rentalId: loaded.rental.id };
+    if (req.query.status) where.status = req.query.status;
+    const items = await prisma.maintenanceRequest.findMany({
+      where,
+      include: maintenanceInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list maintenance requests' });
+  }
+});
+
+// Report a problem (either participant, usually the tenant) on an active rental
+router.post(
+  '/',
+  auth(),
+  [
+    body('category').isIn(MAINTENANCE_CATEGORIES),
+    body('priority').optional().isIn(MAINTENANCE_PRIORITIES),
+    body('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').isString().trim().isLength({ min: 1, max: 5000 }),
+    photosRule('photos'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const { category, priority, title, description } = req.body;
+    try {
+      const loaded = await loadRental(req, res);
+      if (!loaded) return;
+      const { rental } = loaded;
+      if (!rental.isActive) return res.status(409).json({ error: 'Rental has ended' });
+      const request = await prisma.$transaction(async (tx) => {
+        const created = await tx.maintenanceRequest.create({
+          data: {
+            rentalId: rental.id,
+            reporterId: me,
+            category,
+            priority: priority || 'normal',
+            title,
+            description,
+            photos: req.body.photos || [],
+          },
+          include: maintenanceInclude,
+        });
+        await tx.maintenanceEvent.create({
+          data: { requestId: created.id, actorId: me, type: 'created', toStatus: 'open' },
+        });
+        return created;
+      });
+      await notifyMaintenance(rental, me, request, {
+        title: priority === 'urgent' ? 'Urgent maintenance request' : 'New maintenance request',
+      });
+      return res.status(201).json(request);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create maintenance request' });
+    }
+  }
+);
+
+// Ticket with its timeline of status changes and comments
+router.get('/:requestId', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const request = await loadRequest(loaded.rental, Number(req.params.requestId));
+    if (!request) return res.status(404).json({ error: 'Maintenance request not found' });
+    const events = await prisma.maintenanceEvent.findMany({
+      where: { requestId: request.id },
+      include: eventInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+    return res.json({ ...request, events });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get maintenance request' });
+  }
+});
+
+// Move a ticket through the workflow; scheduling needs scheduledFor, note is optional
+router.post(
+  '/:requestId/status',
+  auth(),
+  [
+    body('status').isIn(MAINTENANCE_STATUSES),
+    body('scheduledFor').optional({ nullable: true }).isISO8601(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const { status, scheduledFor } = req.body;
+    const note = req.body.note || null;
+    if (status === 'scheduled' && !scheduledFor) {
+      return res.status(400).json({ error: 'scheduledFor is required when scheduling' });
+    }
+    try {
+      const loaded = await loadRental(req, res);
+      if (!loaded) return;
+      const { rental, role } = loaded;
+      const request = await loadRequest(rental, Number(req.params.requestId));
+      if (!request) return res.status(404).json({ error: 'Maintenance request not found' });
+      const actor = allowedActor(request.status, status);
+      if (!actor) return res.status(409).json({ error: `Cannot move a ${request.status} request to ${status}` });
+      if (actor !== 'any' && actor !== role) return res.status(403).json({ error: `Only the ${actor} can do this` });
+
+      const now = new Date();
+      const data = { status };
+      if (status === 'scheduled') data.scheduledFor = new Date(scheduledFor);
+      if (status === 'resolved') data.resolvedAt = now;
+      if (status === 'closed') data.closedAt = now;
+      if (status === 'open') data.resolvedAt = null;
+
+      const updated = await prisma.$transaction(async (tx) => {
+        // Guard against a concurrent change since the ticket was loaded
+        const { count } = await tx.maintenanceRequest.updateMany({
+          where: { id: request.id, status: request.status },
+          data,
+        });
+        if (count !== 1) return null;
+        await tx.maintenanceEvent.create({
+          data: { requestId: request.id, actorId: me, type: 'status', fromStatus: request.status, toStatus: status, comment: note },
+        });
+        return tx.maintenanceRequest.findUnique({ where: { id: request.id }, include: maintenanceInclude });
+      });
+      if (!updated) return res.status(409).json({ error: 'Maintenance request was changed by someone else' });
+
+      let summary;
+      if (status === 'scheduled') summary = `${request.title}: visit on ${updated.scheduledFor.toISOString()}`;
+      else if (note) summary = `${request.title}: ${note}`;
+      await notifyMaintenance(rental, me, updated, { body: summary });
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to update maintenance request' });
+    }
+  }
+);
+
+// Add a comment (and optionally more photos) to the timeline of an unclosed ticket
+router.post(
+  '/:requestId/comments',
+  auth(),
+  [body('comment').isString().trim().isLength({ min: 1, max: 2000 }), photosRule('photos')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    try {
+      const loaded = await loadRental(req, res);
+      if (!loaded) return;
+      const { rental } = loaded;
+      const request = await loadRequest(rental, Number(req.params.requestId));
+      if (!request) return res.status(404).json({ error: 'Maintenance request not found' });
+      if (request.status === 'closed') return res.status(409).json({ error: 'Maintenance request is closed' });
+      const event = await prisma.maintenanceEvent.create({
+        data: { requestId: request.id, actorId: me, type: 'comment', comment: req.body.comment, photos: req.body.photos || [] },
+        include: eventInclude,
+      });
+      await notifyMaintenance(rental, me, request, {
+        title: 'New comment on maintenance request',
+        body: `${request.title}: ${req.body.comment}`,
+      });
+      return res.status(201).json(event);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to add comment' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { can, canAccessRental } = require('../lib/permissions');
+const { emitToUser } = require('../lib/realtime');
+const { PAYMENT_METHODS, countedTotal, nextDueDateFor } = require('../lib/ledger');
+
+// Mounted at /rentals/:id/payments
+const router = express.Router({ mergeParams: true });
+
+// Recompute the due date from the ledger and keep reminder statuses in step with it. The rental
+// row is locked first so concurrent payment changes recompute one after another, each seeing the
+// others' payments.
+async function syncRentalLedger(tx, rental) {
+  await tx.$queryRaw`SELECT "id" FROM "Rental" WHERE "id" = ${rental.id} FOR UPDATE`;
+  const payments = await tx.payment.findMany({ where: { rentalId: rental.id } });
+  const nextDueDate = nextDueDateFor(rental, countedTotal(payments));
+  await tx.rental.update({ where: { id: rental.id }, data: { nextDueDate } });
+  await tx.rentReminder.updateMany({
+    where: { rentalId: rental.id, dueDate: { lt: nextDueDate }, status: { not: 'paid' } },
+    data: { status: 'paid' },
+  });
+  // A voided or disputed payment can uncover periods that were marked paid
+  await tx.rentReminder.updateMany({
+    where: { rentalId: rental.id, dueDate: { gte: nextDueDate }, status: 'paid' },
+    data: { status: 'pending' },
+  });
+  return nextDueDate;
+}
+
+function otherParty(rental, userId) {
+  return rental.borrowerId === userId ? rental.property.ownerId : rental.borrowerId;
+}
+
+// List payments for a rental (participants only)
+router.get('/', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+    if (!rental) return res.status(404).json({ error: 'Rental not found' });
+    if (!canAccessRental(req.user, rental)) return res.status(403).json({ error: 'Forbidden' });
+    const payments = await prisma.payment.findMany({ where: { rentalId: id }, orderBy: { paidAt: 'desc' } });
+    return res.json(payments);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list payments' });
+  }
+});
+
+// Record a full or partial payment (owner or borrower)
+router.post(
+  '/',
+  auth(),
+  [
+    body('amount').isFloat({ gt: 0 }),
+    body('method').isIn(PAYMENT_METHODS),
+    body('reference').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('paidAt').optional().isISO8601(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const { amount, method, reference, paidAt, note } = req.body;
+    if (paidAt && new Date(paidAt).getTime() > Date.now()) {
+      return res.status(400).json({ error: 'paidAt cannot be in the future' });
+    }
+    try {
+      const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+      if (!rental) return res.status(404).json({ error: 'Rental not found' });
+      if (!canAccessRental(req.user, rental)) return res.status(403).json({ error: 'Forbidden' });
+      const { payment, nextDueDate } = await prisma.$transaction(async (tx) => {
+        const created = await tx.payment.create({
+          data: {
+            rentalId: id,
+            amount: Number(amount),
+            method,
+            reference: reference || null,
+            note: note || null,
+            paidAt: paidAt ? new Date(paidAt) : new Date(),
+            recordedById: req.user.id,
+          },
+        });
+        return { payment: created, nextDueDate: await syncRentalLedger(tx, rental) };
+      });
+      emitToUser(otherParty(rental, req.user.id), 'payment:recorded', { rentalId: id, payment, nextDueDate });
+      return res.status(201).json({ payment, nextDueDate });
+    } catch (e) {
+      console.error('Record payment error:', e);
+      return res.status(500).json({ error: 'Failed to record payment' });
+    }
+  }
+);
+
+// Dispute a payment recorded by the other party
+router.post(
+  '/:paymentId/dispute',
+  auth(),
+  [body('reason').isString().isLength({ min: 1, max: 1000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const paymentId = Number(req.params.paymentId);
+    try {
+      const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+      if (!rental) return res.status(404).json({ error: 'Rental not found' });
+      if (!canAccessRental(req.user, rental)) return res.status(403).json({ error: 'Forbidden' });
+      const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+      if (!payment || payment.rentalId !== id) return res.status(404).json({ error: 'Payment not found' });
+      if (payment.status !== 'recorded') return res.status(409).json({ error: `Payment is already ${payment.status}` });
+      if (payment.recordedById === req.user.id) {
+        return res.status(400).json({ error: 'You cannot dispute a payment you recorded; void it instead' });
+      }
+      // Only moves a payment that is still recorded, so a racing dispute or resolve gets a 409
+      const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.payment.updateMany({
+          where: { id: paymentId, status: 'recorded' },
+          data: { status: 'disputed', disputeReason: req.body.reason, disputedById: req.user.id, disputedAt: new Date() },
+        });
+        if (count !== 1) return null;
+        const nextDueDate = await syncRentalLedger(tx, rental);
+        return { updated: await tx.payment.findUnique({ where: { id: paymentId } }), nextDueDate };
+      });
+      if (!result) return res.status(409).json({ error: 'Payment was changed by someone else, reload and try again' });
+      const { updated, nextDueDate } = result;
+      emitToUser(payment.recordedById, 'payment:disputed', { rentalId: id, payment: updated, nextDueDate });
+      return res.json({ payment: updated, nextDueDate });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to dispute payment' });
+    }
+  }
+);
+
+// Settle a payment: the disputer can withdraw a dispute (confirm), the recorder can void their
+// own entry. Admins can do either.
+router.post(
+  '/:paymentId/resolve',
+  auth(),
+  [body('outcome').isIn(['confirm', 'void'])],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const paymentId = Number(req.params.paymentId);
+    const { outcome } = req.body;
+    try {
+      const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+      if (!rental) return res.status(404).json({ error: 'Rental not found' });
+      if (!canAccessRental(req.user, rental)) return res.status(403).json({ error: 'Forbidden' });
+      const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+      if (!payment || payment.rentalId !== id) return res.status(404).json({ error: 'Payment not found' });
+      if (payment.status === 'void') return res.status(409).json({ error: 'Payment is already void' });
+
+      const isAdmin = can(req.user, 'rentals:manage_any');
+      if (outcome === 'confirm') {
+        if (payment.status !== 'disputed') return res.status(409).json({ error: 'Payment is not disputed' });
+        if (payment.disputedById !== req.user.id && !isAdmin) {
+          return res.status(403).json({ error: 'Only the party who raised the dispute can withdraw it' });
+        }
+      } else if (payment.recordedById !== req.user.id && !isAdmin) {
+        return res.status(403).json({ error: 'Only the party who recorded the payment can void it' });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.payment.updateMany({
+          where: { id: paymentId, status: payment.status },
+          data: { status: outcome === 'confirm' ? 'recorded' : 'void', resolvedAt: new Date() },
+        });
+        if (count !== 1) return null;
+        const nextDueDate = await syncRentalLedger(tx, rental);
+        return { updated: await tx.payment.findUnique({ where: { id: paymentId } }), nextDueDate };
+      });
+      if (!result) return res.status(409).json({ error: 'Payment was changed by someone else, reload and try again' });
+      const { updated, nextDueDate } = result;
+      emitToUser(otherParty(rental, req.user.id), 'payment:resolved', { rentalId: id, payment: updated, nextDueDate });
+      return res.json({ payment: updated, nextDueDate });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to resolve payment' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const {
+  REVIEW_DIMENSIONS,
+  reviewSelect,
+  windowClosesAt,
+  ratingsError,
+  meanRating,
+  notifyReview,
+} = require('../lib/reviews');
+
+// Mounted at /rentals/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Rental and which side of it the caller is on (reviews are between the two parties only)
+async function loadRental(req, res) {
+  const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id: Number(req.params.id) } });
+  if (!rental) {
+    res.status(404).json({ error: 'Rental not found' });
+    return null;
+  }
+  const me = req.user.id;
+  if (rental.borrowerId === me) return { rental, direction: 'tenant_to_owner', subjectId: rental.property.ownerId };
+  if (rental.property.ownerId === me) return { rental, direction: 'owner_to_tenant', subjectId: rental.borrowerId };
+  res.status(403).json({ error: 'Forbidden' });
+  return null;
+}
+
+// Review state for this rental: my review, the other side's once it is visible, and the window
+router.get('/', auth(), async (req, res) => {
+  try {
+    const loaded = await loadRental(req, res);
+    if (!loaded) return;
+    const { rental, direction } = loaded;
+    const reviews = await prisma.review.findMany({
+      where: { rentalId: rental.id },
+      select: { ...reviewSelect, publishedAt: true },
+    });
+    const mine = reviews.find((r) => r.author.id === req.user.id) || null;
+    const theirs = reviews.find((r) => r.author.id !== req.user.id) || null;
+    const closesAt = windowClosesAt(rental);
+    const windowOpen = Boolean(closesAt) && closesAt > new Date();
+    return res.json({
+      windowClosesAt: closesAt,
+      canReview: windowOpen && !mine,
+      dimensions: REVIEW_DIMENSIONS[direction],
+      mine,
+      // The other side has reviewed, but what they wrote stays hidden until it is published
+      theirs: theirs && (theirs.publishedAt || !windowOpen) ? theirs : null,
+      theirsSubmitted: Boolean(theirs),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+// Leave my review of the other party once the rental has ended (one per side, inside the window)
+router.post(
+  '/',
+  auth(),
+  [body('ratings').isObject(), body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 4000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    try {
+      const loaded = await loadRental(req, res);
+      if (!loaded) return;
+      const { rental, direction, subjectId } = loaded;
+      const closesAt = windowClosesAt(rental);
+      if (rental.isActive || !closesAt) return res.status(409).json({ error: 'Reviews open once the rental has ended' });
+      if (closesAt <= new Date()) return res.status(409).json({ error: 'The review window has closed' });
+      const invalid = ratingsError(direction, req.body.ratings);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const ratings = {};
+      for (const d of REVIEW_DIMENSIONS[direction]) ratings[d] = req.body.ratings[d];
+      const review = await prisma.review.create({
+        data: {
+          rentalId: rental.id,
+          propertyId: rental.propertyId,
+          authorId: me,
+          subjectId,
+          direction,
+          ratings,
+          rating: meanRating(ratings),
+          comment: req.body.comment || null,
+        },
+        select: reviewSelect,
+      });
+      // The second review publishes both. Counting after the insert means that of two reviews
+      // submitted at once at least one request sees both; the publishedAt guard lets only one win.
+      let published = false;
+      if ((await prisma.review.count({ where: { rentalId: rental.id } })) === 2) {
+        const { count } = await prisma.review.updateMany({
+          where: { rentalId: rental.id, publishedAt: null },
+          data: { publishedAt: new Date() },
+        });
+        published = count > 0;
+      }
+
+      const data = { rentalId: rental.id, propertyId: rental.propertyId };
+      if (published) {
+        for (const userId of [me, subjectId]) {
+          await notifyReview(userId, 'Reviews published', `Both reviews for ${rental.property.title} are now visible`, data);
+        }
+      } else {
+        await notifyReview(
+          subjectId,
+          'You have a new review',
+          `Leave your review of ${rental.property.title} to see it`,
+          data
+        );
+      }
+      return res.status(201).json(review);
+    } catch (e) {
+      if (e.code === 'P2002') return res.status(409).json({ error: 'You have already reviewed this rental' });
+      return res.status(500).json({ error: 'Failed to submit review' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,172 +2,137 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
-let nodemailer; try { nodemailer = require('nodemailer'); } catch (e) { nodemailer = null; }
+const requireVerified = require('../middleware/requireVerified');
+const { can, canAccessRental } = require('../lib/permissions');
+const { sendMail } = require('../lib/mailer');
+const { notify } = require('../lib/notifications');
+const { notifyReview } = require('../lib/reviews');
+const { buildStatement } = require('../lib/ledger');
+const { BILLING_FREQUENCIES } = require('../lib/rentSchedule');
+const { PropertyTakenError, transitionError, isOpen, claimForRental } = require('../lib/propertyLifecycle');
+const {
+  OPEN_APPLICATION_STATUSES,
+  ApplicationChangedError,
+  recordTransition,
+  declineOpenApplications,
+  notifyApplication,
+} = require('../lib/applications');
 
 const router = express.Router();
 
-// Start a rental (owner-only or admin)
+// Start a rental directly (owner-only or admin, email verified), e.g. for a tenant found outside
+// the app. Like accepting an application, it takes an open rental listing off the market: the
+// borrower's own open application is accepted and the others for the property are turned down.
 router.post(
   '/start',
   auth(),
+  requireVerified,
   [
     body('propertyId').isInt({ gt: 0 }),
     body('borrowerId').isInt({ gt: 0 }),
     body('startDate').isISO8601(),
     body('nextDueDate').isISO8601(),
     body('rentAmount').isFloat({ gt: 0 }),
+    body('billingFrequency').optional().isIn(BILLING_FREQUENCIES),
+    body('gracePeriodDays').optional().isInt({ min: 0, max: 60 }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-// ----- Linking flow: invites -----
-// CommonJS-safe short code generator (avoids ESM nanoid import)
-const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-function genCode(length = 8) {
-  let out = '';
-  for (let i = 0; i < length; i++) {
-    out += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    const { propertyId, borrowerId, startDate, nextDueDate, rentAmount, billingFrequency, gracePeriodDays } = req.body;
+    const me = req.user;
+    try {
+      const property = await prisma.property.findUnique({ where: { id: Number(propertyId) } });
+      if (!property) return res.status(404).json({ error: 'Property not found' });
+      if (property.ownerId !== me.id && !can(me, 'rentals:manage_any')) {
+        return res.status(403).json({ error: 'Only owner or admin can start rental' });
+      }
+      if (property.listingType !== 'rent') return res.status(400).json({ error: 'Only rental listings can be let' });
+      const blocked = transitionError(property, 'rented') || (isOpen(property) ? null : 'Property is not on the market');
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      const { rental, accepted, declined } = await prisma.$transaction(async (tx) => {
+        await claimForRental(tx, property.id);
+        const created = await tx.rental.create({
+          data: {
+            propertyId: property.id,
+            borrowerId: Number(borrowerId),
+            startDate: new Date(startDate),
+            firstDueDate: new Date(nextDueDate),
+            nextDueDate: new Date(nextDueDate),
+            rentAmount: Number(rentAmount),
+            billingFrequency: billingFrequency || 'monthly',
+            gracePeriodDays: gracePeriodDays !== undefined ? Number(gracePeriodDays) : 0,
+          },
+        });
+        const own = await tx.rentalApplication.findFirst({
+          where: { propertyId: property.id, applicantId: created.borrowerId, status: { in: OPEN_APPLICATION_STATUSES } },
+        });
+        const acceptedApp = own ? await recordTransition(tx, own, 'accepted', me.id, null, { rentalId: created.id }) : null;
+        const declinedApps = await declineOpenApplications(tx, property.id, me.id, { exceptId: own?.id });
+        return { rental: created, accepted: acceptedApp, declined: declinedApps };
+      });
+
+      if (accepted) await notifyApplication(accepted.applicantId, accepted);
+      for (const other of declined) await notifyApplication(other.applicantId, other);
+      return res.status(201).json(rental);
+    } catch (e) {
+      if (e instanceof PropertyTakenError || e instanceof ApplicationChangedError) {
+        return res.status(409).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to start rental' });
+    }
   }
-  return out;
-}
+);
 
-// Create an invite (owner or participant), optional email delivery
+// End a rental (owner-only or admin). Once no rental is running on the property it is archived,
+// or put straight back on the market with republish=true (optionally with availableFrom).
 router.post(
-  '/:id/invites',
+  '/:id/end',
   auth(),
-  [body('inviteeEmail').optional().isEmail()],
+  [body('republish').optional().isBoolean(), body('availableFrom').optional({ nullable: true }).isISO8601()],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const id = Number(req.params.id);
-    const me = req.user.id;
-    const { inviteeEmail } = req.body;
+    const me = req.user;
+    const republish = req.body.republish === true || req.body.republish === 'true';
     try {
       const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
       if (!rental) return res.status(404).json({ error: 'Rental not found' });
-      if (rental.borrowerId !== me && rental.property.ownerId !== me && req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Forbidden' });
+      if (rental.property.ownerId !== me.id && !can(me, 'rentals:manage_any')) {
+        return res.status(403).json({ error: 'Only owner or admin can end rental' });
       }
-      const code = genCode();
-      const expiresAt = new Date(Date.now() + 1000 * 60 * 60 * 24 * 7); // 7 days
-      const invite = await prisma.rentalInvite.create({
-        data: { rentalId: id, code, inviterId: me, inviteeEmail: inviteeEmail || null, expiresAt },
-      });
-
-      // Optional email sending if configured and inviteeEmail present
-      if (inviteeEmail && nodemailer && process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-        try {
-          const transporter = nodemailer.createTransport({
-            host: process.env.SMTP_HOST,
-            port: Number(process.env.SMTP_PORT || 587),
-            secure: false,
-            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-          });
-          await transporter.sendMail({
-            from: process.env.SMTP_FROM || process.env.SMTP_USER,
-            to: inviteeEmail,
-            subject: 'Bete rent invite',
-            text: `Use this code to join the rental: ${code}`,
-          });
-        } catch (e) {
-          // ignore email errors
+      if (!rental.isActive) return res.status(409).json({ error: 'Rental has already ended' });
+      const updated = await prisma.$transaction(async (tx) => {
+        // Only the first of two concurrent requests ends the rental
+        const { count } = await tx.rental.updateMany({
+          where: { id, isActive: true },
+          data: { isActive: false, endedAt: new Date() },
+        });
+        if (count !== 1) return null;
+        const stillLet = await tx.rental.count({ where: { propertyId: rental.propertyId, isActive: true } });
+        if (!stillLet && rental.property.status === 'rented') {
+          const data = { status: republish ? 'published' : 'archived' };
+          if (republish && req.body.availableFrom) data.availableFrom = new Date(req.body.availableFrom);
+          await tx.property.update({ where: { id: rental.propertyId }, data });
         }
-      }
-
-      return res.status(201).json(invite);
-    } catch (e) {
-      return res.status(500).json({ error: 'Failed to create invite' });
-    }
-  }
-);
-
-// List invites for a rental (participants only)
-router.get('/:id/invites', auth(), async (req, res) => {
-  const id = Number(req.params.id);
-  const me = req.user.id;
-  try {
-    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
-    if (!rental) return res.status(404).json({ error: 'Rental not found' });
-    if (rental.borrowerId !== me && rental.property.ownerId !== me && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-    const invites = await prisma.rentalInvite.findMany({ where: { rentalId: id }, orderBy: { id: 'desc' } });
-    return res.json(invites);
-  } catch (e) {
-    return res.status(500).json({ error: 'Failed to list invites' });
-  }
-});
-
-// Accept an invite by code (sets borrower or links user based on who is missing)
-router.post('/invites/:code/accept', auth(), async (req, res) => {
-  const code = String(req.params.code).toUpperCase();
-  const me = req.user.id;
-  try {
-    const invite = await prisma.rentalInvite.findUnique({ where: { code } });
-    if (!invite) return res.status(404).json({ error: 'Invite not found' });
-    if (new Date(invite.expiresAt).getTime() < Date.now()) return res.status(410).json({ error: 'Invite expired' });
-    if (invite.status !== 'pending') return res.status(409).json({ error: 'Invite already used' });
-
-    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id: invite.rentalId } });
-    if (!rental) return res.status(404).json({ error: 'Rental not found' });
-
-    // If current user is not part of rental, try to link as borrower
-    let updatedRental = rental;
-    if (rental.borrowerId !== me && rental.property.ownerId !== me) {
-      // Prefer linking as borrower if slot is different from owner
-      if (rental.property.ownerId !== me) {
-        updatedRental = await prisma.rental.update({ where: { id: rental.id }, data: { borrowerId: me } });
-      }
-    }
-
-    await prisma.rentalInvite.update({ where: { id: invite.id }, data: { status: 'accepted', acceptedBy: me } });
-    return res.json({ ok: true, rental: updatedRental });
-  } catch (e) {
-    return res.status(500).json({ error: 'Failed to accept invite' });
-  }
-});
-    const { propertyId, borrowerId, startDate, nextDueDate, rentAmount } = req.body;
-    const me = req.user;
-    try {
-      const property = await prisma.property.findUnique({ where: { id: Number(propertyId) } });
-      if (!property) return res.status(404).json({ error: 'Property not found' });
-      if (property.ownerId !== me.id && me.role !== 'admin') {
-        return res.status(403).json({ error: 'Only owner or admin can start rental' });
-      }
-      const rental = await prisma.rental.create({
-        data: {
-          propertyId: Number(propertyId),
-          borrowerId: Number(borrowerId),
-          startDate: new Date(startDate),
-          nextDueDate: new Date(nextDueDate),
-          rentAmount: Number(rentAmount),
-        },
+        return tx.rental.findUnique({ where: { id } });
       });
-      return res.status(201).json(rental);
+      if (!updated) return res.status(409).json({ error: 'Rental has already ended' });
+      // Both sides can now review each other (see routes/rentalReviews)
+      const data = { rentalId: id, propertyId: rental.propertyId };
+      for (const userId of [rental.borrowerId, rental.property.ownerId]) {
+        await notifyReview(userId, 'How did it go?', `Leave a review for ${rental.property.title}`, data);
+      }
+      return res.json(updated);
     } catch (e) {
-      return res.status(500).json({ error: 'Failed to start rental' });
+      return res.status(500).json({ error: 'Failed to end rental' });
     }
   }
 );
 
-// End a rental (owner-only or admin)
-router.post('/:id/end', auth(), async (req, res) => {
-  const id = Number(req.params.id);
-  const me = req.user;
-  try {
-    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
-    if (!rental) return res.status(404).json({ error: 'Rental not found' });
-    if (rental.property.ownerId !== me.id && me.role !== 'admin') {
-      return res.status(403).json({ error: 'Only owner or admin can end rental' });
-    }
-    const updated = await prisma.rental.update({ where: { id }, data: { isActive: false } });
-    return res.json(updated);
-  } catch (e) {
-    return res.status(500).json({ error: 'Failed to end rental' });
-  }
-});
-
 // List my rentals (role=owner|renter)
 router.get('/mine', auth(), async (req, res) => {
   const role = (req.query.role || 'renter').toLowerCase();
@@ -192,6 +157,20 @@ router.get('/mine', auth(), async (req, res) => {
   }
 });
 
+// Ledger statement: balance, arrears and payment history (participants only)
+router.get('/:id/statement', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+    if (!rental) return res.status(404).json({ error: 'Rental not found' });
+    if (!canAccessRental(req.user, rental)) return res.status(403).json({ error: 'Forbidden' });
+    const payments = await prisma.payment.findMany({ where: { rentalId: id }, orderBy: { paidAt: 'asc' } });
+    return res.json(buildStatement(rental, payments));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
 // List reminders for a rental (must be participant)
 router.get('/:id/reminders', auth(), async (req, res) => {
   const id = Number(req.params.id);
@@ -199,7 +178,7 @@ router.get('/:id/reminders', auth(), async (req, res) => {
   try {
     const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
     if (!rental) return res.status(404).json({ error: 'Rental not found' });
-    if (rental.borrowerId !== me && rental.property.ownerId !== me && req.user.role !== 'admin') {
+    if (!canAccessRental(req.user, rental)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
     const reminders = await prisma.rentReminder.findMany({ where: { rentalId: id }, orderBy: { dueDate: 'asc' } });
@@ -222,7 +201,7 @@ router.post(
     try {
       const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
       if (!rental) return res.status(404).json({ error: 'Rental not found' });
-      if (rental.borrowerId !== req.user.id && rental.property.ownerId !== req.user.id && req.user.role !== 'admin') {
+      if (!canAccessRental(req.user, rental)) {
         return res.status(403).json({ error: 'Forbidden' });
       }
       const reminder = await prisma.rentReminder.create({
@@ -230,28 +209,28 @@ router.post(
       });
       return res.status(201).json(reminder);
     } catch (e) {
+      if (e?.code === 'P2002') return res.status(409).json({ error: 'A reminder for that due date already exists' });
       return res.status(500).json({ error: 'Failed to create reminder' });
     }
   }
 );
 
-// Update reminder status (participant or admin)
+// Update reminder status (participant or admin). notifiedAt is stamped by the scheduler.
 router.patch('/reminders/:reminderId', auth(), async (req, res) => {
   const reminderId = Number(req.params.reminderId);
-  const { status, notifiedAt } = req.body;
+  const { status } = req.body;
   try {
     const reminder = await prisma.rentReminder.findUnique({ where: { id: reminderId } });
     if (!reminder) return res.status(404).json({ error: 'Reminder not found' });
     const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id: reminder.rentalId } });
     if (!rental) return res.status(404).json({ error: 'Rental not found' });
-    if (rental.borrowerId !== req.user.id && rental.property.ownerId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessRental(req.user, rental)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
     const updated = await prisma.rentReminder.update({
       where: { id: reminderId },
       data: {
         status: status || reminder.status,
-        notifiedAt: notifiedAt ? new Date(notifiedAt) : reminder.notifiedAt,
       },
     });
     return res.json(updated);
@@ -260,4 +239,110 @@ router.patch('/reminders/:reminderId', auth(), async (req, res) => {
   }
 });
 
+// ----- Linking flow: invites -----
+// CommonJS-safe short code generator (avoids ESM nanoid import)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function genCode(length = 8) {
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+// Create an invite (owner or participant), optional email delivery
+router.post(
+  '/:id/invites',
+  auth(),
+  [body('inviteeEmail').optional().isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const me = req.user.id;
+    const { inviteeEmail } = req.body;
+    try {
+      const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+      if (!rental) return res.status(404).json({ error: 'Rental not found' });
+      if (!canAccessRental(req.user, rental)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      const code = genCode();
+      const expiresAt = new Date(Date.now() + 1000 * 60 * 60 * 24 * 7); // 7 days
+      const invite = await prisma.rentalInvite.create({
+        data: { rentalId: id, code, inviterId: me, inviteeEmail: inviteeEmail || null, expiresAt },
+      });
+
+      // Optional email delivery (skipped when SMTP is not configured)
+      if (inviteeEmail) {
+        await sendMail({
+          to: inviteeEmail,
+          subject: 'Bete rent invite',
+          text: `Use this code to join the rental: ${code}`,
+        });
+        // Invitees who already have an account also get a push / inbox entry
+        const invitee = await prisma.user.findUnique({ where: { email: inviteeEmail }, select: { id: true } });
+        if (invitee && invitee.id !== me) {
+          await notify(invitee.id, {
+            category: 'rental_invite',
+            title: 'Rental invite',
+            body: `You've been invited to join the rental for ${rental.property.title}`,
+            data: { rentalId: id, inviteId: invite.id, code },
+          }).catch((e) => console.error('invite notification error', e));
+        }
+      }
+
+      return res.status(201).json(invite);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create invite' });
+    }
+  }
+);
+
+// List invites for a rental (participants only)
+router.get('/:id/invites', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  const me = req.user.id;
+  try {
+    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id } });
+    if (!rental) return res.status(404).json({ error: 'Rental not found' });
+    if (!canAccessRental(req.user, rental)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const invites = await prisma.rentalInvite.findMany({ where: { rentalId: id }, orderBy: { id: 'desc' } });
+    return res.json(invites);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list invites' });
+  }
+});
+
+// Accept an invite by code (sets borrower or links user based on who is missing)
+router.post('/invites/:code/accept', auth(), async (req, res) => {
+  const code = String(req.params.code).toUpperCase();
+  const me = req.user.id;
+  try {
+    const invite = await prisma.rentalInvite.findUnique({ where: { code } });
+    if (!invite) return res.status(404).json({ error: 'Invite not found' });
+    if (new Date(invite.expiresAt).getTime() < Date.now()) return res.status(410).json({ error: 'Invite expired' });
+    if (invite.status !== 'pending') return res.status(409).json({ error: 'Invite already used' });
+
+    const rental = await prisma.rental.findUnique({ include: { property: true }, where: { id: invite.rentalId } });
+    if (!rental) return res.status(404).json({ error: 'Rental not found' });
+
+    // If current user is not part of rental, try to link as borrower
+    let updatedRental = rental;
+    if (rental.borrowerId !== me && rental.property.ownerId !== me) {
+      // Prefer linking as borrower if slot is different from owner
+      if (rental.property.ownerId !== me) {
+        updatedRental = await prisma.rental.update({ where: { id: rental.id }, data: { borrowerId: me } });
+      }
+    }
+
+    await prisma.rentalInvite.update({ where: { id: invite.id }, data: { status: 'accepted', acceptedBy: me } });
+    return res.json({ ok: true, rental: updatedRental });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
 module.exports = router;
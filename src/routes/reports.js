@@ -0,0 +1,97 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { REPORT_TARGETS, REPORT_REASONS } = require('../lib/moderation');
+
+const router = express.Router();
+
+// Work out who a report is about; null when the target doesn't exist or the reporter can't see it
+async function resolveTarget(targetType, targetId, me) {
+  if (targetType === 'user') {
+    const user = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true } });
+    return user && { targetUserId: user.id };
+  }
+  if (targetType === 'message') {
+    // Only participants of the chat can report its messages
+    const message = await prisma.message.findFirst({
+      where: { id: targetId, chat: { OR: [{ userAId: me }, { userBId: me }] } },
+      select: { id: true, senderId: true, content: true },
+    });
+    return message && { targetUserId: message.senderId, messageId: message.id, snapshot: message.content };
+  }
+  const property = await prisma.property.findUnique({ where: { id: targetId }, select: { id: true, ownerId: true } });
+  return property && { targetUserId: property.ownerId, propertyId: property.id };
+}
+
+// Report a user, a chat message or a listing for the moderation queue
+router.post(
+  '/',
+  auth(),
+  [
+    body('targetType').isIn(REPORT_TARGETS),
+    body('targetId').isInt({ gt: 0 }),
+    body('reason').isIn(REPORT_REASONS),
+    body('details').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const { targetType, reason, details } = req.body;
+    try {
+      const target = await resolveTarget(targetType, Number(req.body.targetId), me);
+      if (!target) return res.status(404).json({ error: 'Report target not found' });
+      if (target.targetUserId === me) return res.status(400).json({ error: 'You cannot report yourself' });
+
+      // One open report per reporter and target
+      const existing = await prisma.report.findFirst({
+        where: {
+          reporterId: me,
+          status: 'open',
+          targetType,
+          targetUserId: target.targetUserId,
+          messageId: target.messageId ?? null,
+          propertyId: target.propertyId ?? null,
+        },
+        select: { id: true },
+      });
+      if (existing) return res.status(409).json({ error: 'You have already reported this', reportId: existing.id });
+
+      const report = await prisma.report.create({
+        data: { reporterId: me, targetType, reason, details: details || null, ...target },
+        select: { id: true, targetType: true, reason: true, status: true, createdAt: true },
+      });
+      return res.status(201).json(report);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to submit report' });
+    }
+  }
+);
+
+// Reports I have filed and their outcome
+router.get('/', auth(), async (req, res) => {
+  try {
+    const items = await prisma.report.findMany({
+      where: { reporterId: req.user.id },
+      select: {
+        id: true,
+        targetType: true,
+        targetUserId: true,
+        messageId: true,
+        propertyId: true,
+        reason: true,
+        status: true,
+        createdAt: true,
+        resolvedAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100,
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { reviewSelect, publicReviewWhere } = require('../lib/reviews');
+
+// Public reviews (leaving one is POST /rentals/:id/reviews)
+const router = express.Router();
+
+// Published reviews of a property (propertyId) or about a user (userId, with direction to pick
+// their reviews as landlord or as tenant); newest first, cursor = review id
+router.get(
+  '/',
+  [
+    query('propertyId').optional().isInt({ gt: 0 }),
+    query('userId').optional().isInt({ gt: 0 }),
+    query('direction').optional().isIn(['tenant_to_owner', 'owner_to_tenant']),
+    query('cursor').optional().isInt({ gt: 0 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!req.query.propertyId && !req.query.userId) {
+      return res.status(400).json({ error: 'propertyId or userId is required' });
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    try {
+      const where = { AND: [publicReviewWhere()] };
+      // Property reviews are the tenants' reviews of the stay
+      if (req.query.propertyId) where.AND.push({ propertyId: Number(req.query.propertyId), direction: 'tenant_to_owner' });
+      if (req.query.userId) where.AND.push({ subjectId: Number(req.query.userId) });
+      if (req.query.direction) where.AND.push({ direction: req.query.direction });
+      if (req.query.cursor) where.AND.push({ id: { lt: Number(req.query.cursor) } });
+      const rows = await prisma.review.findMany({ where, select: reviewSelect, orderBy: { id: 'desc' }, take: limit + 1 });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.json({ items, nextCursor: hasMore ? items[items.length - 1].id : null });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list reviews' });
+    }
+  }
+);
+
+// Public reply from the landlord to a tenant's review of them; posting again replaces it and an
+// empty response removes it
+router.post(
+  '/:id/response',
+  auth(),
+  [body('response').isString().trim().isLength({ max: 2000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    try {
+      const review = await prisma.review.findFirst({ where: { AND: [{ id }, publicReviewWhere()] } });
+      if (!review) return res.status(404).json({ error: 'Review not found' });
+      if (review.direction !== 'tenant_to_owner' || review.subjectId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the landlord being reviewed can respond' });
+      }
+      const response = req.body.response || null;
+      const updated = await prisma.review.update({
+        where: { id },
+        data: { response, respondedAt: response ? new Date() : null },
+        select: reviewSelect,
+      });
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to save response' });
+    }
+  }
+);
+
+module.exports = router;
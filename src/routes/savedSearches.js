@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { LISTING_TYPES, parseFilters } = require('../lib/propertySearch');
+const { VISIBLE_STATUSES } = require('../lib/propertyLifecycle');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Same criteria GET /properties accepts, nested under `filters`
+const filterValidators = [
+  body('filters.ownerId').optional().isInt({ gt: 0 }),
+  body('filters.q').optional().isString(),
+  body('filters.listingType').optional().isIn(LISTING_TYPES),
+  body('filters.minPrice').optional().isFloat({ min: 0 }),
+  body('filters.maxPrice').optional().isFloat({ min: 0 }),
+  body('filters.minBedrooms').optional().isInt({ min: 0 }),
+  body('filters.minBathrooms').optional().isInt({ min: 0 }),
+  body('filters.location').optional().isString(),
+  body('filters.status').optional().isIn(VISIBLE_STATUSES),
+];
+
+// List my saved searches
+router.get('/', auth(), async (req, res) => {
+  try {
+    const items = await prisma.savedSearch.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list saved searches' });
+  }
+});
+
+// Create a saved search
+router.post(
+  '/',
+  auth(),
+  [
+    body('name').isString().isLength({ min: 1, max: 100 }),
+    body('filters').isObject(),
+    ...filterValidators,
+    body('emailDigest').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const filters = parseFilters(req.body.filters);
+    if (!Object.keys(filters).length) return res.status(400).json({ error: 'At least one filter is required' });
+    try {
+      const count = await prisma.savedSearch.count({ where: { userId: req.user.id } });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(409).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+      }
+      const created = await prisma.savedSearch.create({
+        data: {
+          userId: req.user.id,
+          name: req.body.name,
+          filters,
+          emailDigest: req.body.emailDigest === true || req.body.emailDigest === 'true',
+        },
+      });
+      return res.status(201).json(created);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create saved search' });
+    }
+  }
+);
+
+// Get one saved search
+router.get('/:id', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const item = await prisma.savedSearch.findUnique({ where: { id } });
+    if (!item || item.userId !== req.user.id) return res.status(404).json({ error: 'Saved search not found' });
+    return res.json(item);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get saved search' });
+  }
+});
+
+// Update name, filters or email digest preference
+router.patch(
+  '/:id',
+  auth(),
+  [
+    body('name').optional().isString().isLength({ min: 1, max: 100 }),
+    body('filters').optional().isObject(),
+    ...filterValidators,
+    body('emailDigest').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    const { name, emailDigest } = req.body;
+    try {
+      const existing = await prisma.savedSearch.findUnique({ where: { id } });
+      if (!existing || existing.userId !== req.user.id) return res.status(404).json({ error: 'Saved search not found' });
+
+      const data = {};
+      if (name !== undefined) data.name = name;
+      if (emailDigest !== undefined) data.emailDigest = emailDigest === true || emailDigest === 'true';
+      if (req.body.filters !== undefined) {
+        const filters = parseFilters(req.body.filters);
+        if (!Object.keys(filters).length) return res.status(400).json({ error: 'At least one filter is required' });
+        data.filters = filters;
+      }
+      const updated = await prisma.savedSearch.update({ where: { id }, data });
+      return res.json(updated);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to update saved search' });
+    }
+  }
+);
+
+// Delete a saved search
+router.delete('/:id', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const existing = await prisma.savedSearch.findUnique({ where: { id } });
+    if (!existing || existing.userId !== req.user.id) return res.status(404).json({ error: 'Saved search not found' });
+    await prisma.savedSearch.delete({ where: { id } });
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
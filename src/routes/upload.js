@@ -1,16 +1,128 @@
 const express = require('express');
+const prisma = require('../lib/prisma');
 const upload = require('../upload');
 const auth = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { getStorage } = require('../lib/storage');
+const { recordUpload, isReferenced, removeUpload } = require('../lib/uploads');
+const { ImageError, storeImages } = require('../lib/images');
+
+const { documentUpload, MAX_BATCH_IMAGES } = upload;
 
 const router = express.Router();
 
-// Single image upload: field name should be 'image'
-router.post('/image', auth(), upload.single('image'), (req, res) => {
+// Run a multer middleware and turn its errors (size limit, file type) into 400 responses
+function accept(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === 'LIMIT_FILE_SIZE') return res.status(400).json({ error: 'File is too large' });
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: `Upload at most ${MAX_BATCH_IMAGES} files at once` });
+      }
+      if (err.code === 'UNSUPPORTED_TYPE') return res.status(400).json({ error: err.message });
+      console.error('Upload error:', err?.message || err);
+      return res.status(500).json({ error: 'Upload failed' });
+    });
+  };
+}
+
+// Record the stored file against the uploader; if that fails the file is removed again
+async function record(req, res) {
+  try {
+    return await recordUpload(req.user.id, req.file);
+  } catch (e) {
+    console.error('Upload record error:', e?.message || e);
+    const { publicId, resourceType } = getStorage().describe(req.file);
+    await getStorage().remove(publicId, resourceType).catch(() => {});
+    res.status(500).json({ error: 'Upload failed' });
+    return null;
+  }
+}
+
+// Process and store photos (variants, metadata stripped); on failure answers the request and
+// returns null
+async function processImages(req, res, files) {
+  try {
+    return await storeImages(req.user.id, files);
+  } catch (e) {
+    if (e instanceof ImageError) {
+      res.status(400).json({ error: e.message });
+    } else {
+      console.error('Image upload error:', e?.message || e);
+      res.status(500).json({ error: 'Upload failed' });
+    }
+    return null;
+  }
+}
+
+function imageResponse(image) {
+  return {
+    imageUrl: image.url,
+    public_id: image.publicId,
+    mimeType: 'image/webp',
+    size: image.size,
+    mediumUrl: image.mediumUrl,
+    thumbnailUrl: image.thumbnailUrl,
+    width: image.width,
+    height: image.height,
+  };
+}
+
+// Single image upload: field name should be 'image'. imageUrl is the full-size variant.
+router.post('/image', auth(), accept(upload.single('image')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  const images = await processImages(req, res, [req.file]);
+  if (!images) return;
+  return res.json(imageResponse(images[0]));
+});
+
+// Batch image upload: up to MAX_BATCH_IMAGES files in the 'images' field
+router.post('/images', auth(), accept(upload.array('images', MAX_BATCH_IMAGES)), async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+  const images = await processImages(req, res, req.files);
+  if (!images) return;
+  return res.json({ images: images.map(imageResponse) });
+});
+
+// Document upload (PDF, Word or text), e.g. for chat attachments: field name 'file'
+router.post('/file', auth(), accept(documentUpload.single('file')), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
-  // multer-storage-cloudinary sets the hosted file URL on req.file.path
-  return res.json({ imageUrl: req.file.path, public_id: req.file.filename });
+  const saved = await record(req, res);
+  if (!saved) return;
+  return res.json({
+    url: saved.url,
+    public_id: saved.publicId,
+    mimeType: saved.mimeType,
+    size: saved.size,
+    name: req.file.originalname,
+  });
+});
+
+// Delete one of my uploads by the public_id returned at upload time. Cloudinary ids contain a
+// folder ("BeteAppImages/abc"); send it URL-encoded or as extra path segments.
+router.delete('/*publicId', auth(), async (req, res) => {
+  const publicId = [].concat(req.params.publicId).join('/');
+  try {
+    const found = await prisma.upload.findUnique({
+      where: { driver_publicId: { driver: getStorage().name, publicId } },
+    });
+    if (!found) return res.status(404).json({ error: 'Upload not found' });
+    if (found.ownerId !== req.user.id && !can(req.user, 'uploads:manage_any')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (await isReferenced(found.url)) return res.status(409).json({ error: 'File is still in use' });
+    await removeUpload(found);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to delete upload' });
+  }
 });
 
 module.exports = router;
@@ -1,16 +1,25 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { getPresence } = require('../lib/presence');
+const { ratingSummary } = require('../lib/reviews');
+const { isBlockedBetween } = require('../lib/blocks');
 
 const router = express.Router();
 
+function calendarUrl(req, token) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/calendar/${token}.ics`;
+}
+
 // Get current user profile
 router.get('/me', auth(), async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { id: true, name: true, email: true, role: true, createdAt: true, avatarUrl: true },
+      select: { id: true, name: true, email: true, role: true, createdAt: true, avatarUrl: true, emailVerifiedAt: true },
     });
     if (!user) return res.status(404).json({ error: 'Not found' });
     return res.json(user);
@@ -19,7 +28,144 @@ router.get('/me', auth(), async (req, res) => {
   }
 });
 
-// Get user by ID (public profile info only)
+// Current calendar feed URL (null when not enabled)
+router.get('/me/calendar-token', auth(), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { calendarToken: true } });
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    return res.json({ url: user.calendarToken ? calendarUrl(req, user.calendarToken) : null });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Enable the calendar feed or rotate its secret URL (the old URL stops working)
+router.post('/me/calendar-token', auth(), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('base64url');
+    await prisma.user.update({ where: { id: req.user.id }, data: { calendarToken: token } });
+    return res.json({ url: calendarUrl(req, token) });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to rotate calendar feed' });
+  }
+});
+
+// Disable the calendar feed
+router.delete('/me/calendar-token', auth(), async (req, res) => {
+  try {
+    await prisma.user.update({ where: { id: req.user.id }, data: { calendarToken: null } });
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to disable calendar feed' });
+  }
+});
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+// Register this device's push token. A token left behind by another account moves to the
+// current user, unless that account is still signed in with the session that registered it.
+router.post(
+  '/me/devices',
+  auth(),
+  [body('platform').isIn(DEVICE_PLATFORMS), body('token').isString().trim().isLength({ min: 1, max: 4096 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { platform, token } = req.body;
+    const me = req.user.id;
+    try {
+      const existing = await prisma.device.findUnique({
+        where: { token },
+        include: { session: { select: { revokedAt: true, expiresAt: true } } },
+      });
+      if (existing && existing.userId !== me) {
+        const { session } = existing;
+        if (session && !session.revokedAt && session.expiresAt > new Date()) {
+          return res.status(409).json({ error: 'This device is registered to another signed-in account' });
+        }
+      }
+      const device = await prisma.$transaction(async (tx) => {
+        if (existing && existing.userId === me) {
+          return tx.device.update({ where: { id: existing.id }, data: { platform, sessionId: req.user.sid } });
+        }
+        if (existing) await tx.device.deleteMany({ where: { id: existing.id, userId: existing.userId } });
+        return tx.device.create({ data: { userId: me, platform, token, sessionId: req.user.sid } });
+      });
+      return res.status(201).json(device);
+    } catch (e) {
+      if (e?.code === 'P2002') return res.status(409).json({ error: 'This device was just registered, try again' });
+      return res.status(500).json({ error: 'Failed to register device' });
+    }
+  }
+);
+
+router.get('/me/devices', auth(), async (req, res) => {
+  try {
+    const devices = await prisma.device.findMany({ where: { userId: req.user.id }, orderBy: { updatedAt: 'desc' } });
+    return res.json(devices);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list devices' });
+  }
+});
+
+// Unregister a device (e.g. on sign-out)
+router.delete('/me/devices/:id', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const { count } = await prisma.device.deleteMany({ where: { id, userId: req.user.id } });
+    if (!count) return res.status(404).json({ error: 'Device not found' });
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+// Users I have blocked
+router.get('/me/blocks', auth(), async (req, res) => {
+  try {
+    const rows = await prisma.userBlock.findMany({
+      where: { blockerId: req.user.id },
+      include: { blocked: { select: { id: true, name: true, avatarUrl: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(rows.map((r) => ({ ...r.blocked, blockedAt: r.createdAt })));
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to list blocked users' });
+  }
+});
+
+// Block a user: their chats disappear from my list and neither of us can start chats or send messages
+router.post('/:id/block', auth(), async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
+  if (userId === req.user.id) return res.status(400).json({ error: 'You cannot block yourself' });
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await prisma.userBlock.upsert({
+      where: { blockerId_blockedId: { blockerId: req.user.id, blockedId: userId } },
+      create: { blockerId: req.user.id, blockedId: userId },
+      update: {},
+    });
+    return res.json({ ok: true, blocked: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+router.delete('/:id/block', auth(), async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
+  try {
+    await prisma.userBlock.deleteMany({ where: { blockerId: req.user.id, blockedId: userId } });
+    return res.json({ ok: true, blocked: false });
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// Get user by ID (public profile info, plus presence for chat counterparts)
 router.get('/:id', auth(), async (req, res) => {
   try {
     const userId = Number(req.params.id);
@@ -27,10 +173,22 @@ router.get('/:id', auth(), async (req, res) => {
     
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true, name: true, avatarUrl: true },
+      select: { id: true, name: true, avatarUrl: true, lastSeenAt: true },
     });
     if (!user) return res.status(404).json({ error: 'User not found' });
-    return res.json(user);
+    const { lastSeenAt, ...profile } = user;
+    // Presence is only shared with people you have a chat with and no block between you
+    const me = req.user.id;
+    const sharedChat = userId !== me && await prisma.chat.findFirst({
+      where: { OR: [{ userAId: me, userBId: userId }, { userAId: userId, userBId: me }] },
+      select: { id: true },
+    });
+    if (sharedChat && !(await isBlockedBetween(me, userId))) profile.presence = await getPresence(userId, lastSeenAt);
+    profile.ratings = {
+      asLandlord: await ratingSummary({ subjectId: userId }, 'tenant_to_owner'),
+      asTenant: await ratingSummary({ subjectId: userId }, 'owner_to_tenant'),
+    };
+    return res.json(profile);
   } catch (e) {
     return res.status(500).json({ error: 'Failed to fetch user' });
   }
@@ -52,7 +210,7 @@ router.put(
       const updated = await prisma.user.update({
         where: { id: req.user.id },
         data: { name, avatarUrl },
-        select: { id: true, name: true, email: true, role: true, createdAt: true, avatarUrl: true },
+        select: { id: true, name: true, email: true, role: true, createdAt: true, avatarUrl: true, emailVerifiedAt: true },
       });
       return res.json(updated);
     } catch (e) {
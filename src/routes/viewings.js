@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const {
+  VIEWING_STATUSES,
+  ACTIVE_VIEWING_STATUSES,
+  SlotUnavailableError,
+  ViewingChangedError,
+  viewingInclude,
+  claimSlot,
+  transitionViewing,
+  releaseSlot,
+  notifyViewing,
+} = require('../lib/viewings');
+
+// Viewing lifecycle once booked (booking itself is POST /properties/:id/viewings)
+const router = express.Router();
+
+async function loadViewing(id) {
+  return prisma.viewing.findUnique({ where: { id }, include: viewingInclude });
+}
+
+// My viewings as renter and as owner: role=renter|owner, status, upcoming=true
+router.get(
+  '/',
+  auth(),
+  [
+    query('role').optional().isIn(['renter', 'owner']),
+    query('status').optional().isIn(VIEWING_STATUSES),
+    query('upcoming').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const me = req.user.id;
+    const { role, status } = req.query;
+    try {
+      const where = {};
+      if (role === 'renter') where.renterId = me;
+      else if (role === 'owner') where.property = { ownerId: me };
+      else where.OR = [{ renterId: me }, { property: { ownerId: me } }];
+      if (status) where.status = status;
+      if (req.query.upcoming === 'true') where.slot = { startsAt: { gt: new Date() } };
+      const viewings = await prisma.viewing.findMany({
+        where,
+        include: viewingInclude,
+        orderBy: { slot: { startsAt: 'asc' } },
+        take: 200,
+      });
+      return res.json(viewings);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list viewings' });
+    }
+  }
+);
+
+router.get('/:id', auth(), async (req, res) => {
+  try {
+    const viewing = await loadViewing(Number(req.params.id));
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (viewing.renterId !== req.user.id && viewing.property.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    return res.json(viewing);
+  } catch (e) {
+    return res.status(500).json({ error: 'Failed to get viewing' });
+  }
+});
+
+// Owner accepts a requested viewing
+router.post('/:id/confirm', auth(), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const viewing = await loadViewing(id);
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (viewing.property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (viewing.status !== 'requested') return res.status(409).json({ error: `Viewing is ${viewing.status}` });
+    const updated = await prisma.$transaction((tx) => transitionViewing(tx, viewing, { status: 'confirmed' }));
+    await notifyViewing(updated.renterId, updated, 'Viewing confirmed');
+    return res.json(updated);
+  } catch (e) {
+    if (e instanceof ViewingChangedError) return res.status(409).json({ error: e.message });
+    return res.status(500).json({ error: 'Failed to confirm viewing' });
+  }
+});
+
+// Owner moves an active viewing to another free slot of the same property; the new time counts as confirmed
+router.post('/:id/reschedule', auth(), [body('slotId').isInt({ gt: 0 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const id = Number(req.params.id);
+  const slotId = Number(req.body.slotId);
+  try {
+    const viewing = await loadViewing(id);
+    if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+    if (viewing.property.ownerId !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!ACTIVE_VIEWING_STATUSES.includes(viewing.status)) return res.status(409).json({ error: `Viewing is ${viewing.status}` });
+    if (viewing.slotId === slotId) return res.status(400).json({ error: 'Viewing is already in this slot' });
+    const updated = await prisma.$transaction(async (tx) => {
+      const moved = await transitionViewing(tx, viewing, { slotId, status: 'confirmed', reminderSentAt: null });
+      await claimSlot(tx, viewing.propertyId, slotId);
+      await releaseSlot(tx, viewing.slotId);
+      return moved;
+    });
+    await notifyViewing(updated.renterId, updated, 'Viewing rescheduled');
+    return res.json(updated);
+  } catch (e) {
+    if (e instanceof SlotUnavailableError || e instanceof ViewingChangedError) {
+      return res.status(409).json({ error: e.message });
+    }
+    return res.status(500).json({ error: 'Failed to reschedule viewing' });
+  }
+});
+
+// Either party cancels; the slot becomes free again
+router.post(
+  '/:id/cancel',
+  auth(),
+  [body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const id = Number(req.params.id);
+    const me = req.user.id;
+    try {
+      const viewing = await loadViewing(id);
+      if (!viewing) return res.status(404).json({ error: 'Viewing not found' });
+      const isOwner = viewing.property.ownerId === me;
+      if (!isOwner && viewing.renterId !== me) return res.status(403).json({ error: 'Forbidden' });
+      if (!ACTIVE_VIEWING_STATUSES.includes(viewing.status)) return res.status(409).json({ error: `Viewing is ${viewing.status}` });
+      const updated = await prisma.$transaction(async (tx) => {
+        const cancelled = await transitionViewing(tx, viewing, {
+          status: 'cancelled',
+          cancelledById: me,
+          cancelReason: req.body.reason || null,
+        });
+        await releaseSlot(tx, viewing.slotId);
+        return cancelled;
+      });
+      await notifyViewing(isOwner ? viewing.renterId : viewing.property.ownerId, updated, 'Viewing cancelled');
+      return res.json(updated);
+    } catch (e) {
+      if (e instanceof ViewingChangedError) return res.status(409).json({ error: e.message });
+      return res.status(500).json({ error: 'Failed to cancel viewing' });
+    }
+  }
+);
+
+module.exports = router;
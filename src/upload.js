@@ -1,16 +1,50 @@
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
-const cloudinary = require('./config/cloudinary');
+const { storageEngine } = require('./lib/storage');
 
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: {
-    folder: 'BeteAppImages',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-    transformation: [{ quality: 'auto', fetch_format: 'auto' }],
-  },
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Photos are not documents: they go through /upload/image so their metadata (e.g. GPS) is stripped
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+// Most photos accepted by one batch upload
+const MAX_BATCH_IMAGES = Number(process.env.MAX_BATCH_IMAGES || 10);
+
+function mimeFilter(allowed) {
+  return (req, file, cb) => {
+    if (allowed.includes(file.mimetype)) return cb(null, true);
+    const err = new Error(
+      IMAGE_MIME_TYPES.includes(file.mimetype)
+        ? 'Photos must be uploaded through /upload/image'
+        : `Unsupported file type: ${file.mimetype}`
+    );
+    err.code = 'UNSUPPORTED_TYPE';
+    return cb(err);
+  };
+}
+
+// Photos are held in memory so lib/images can strip metadata and build variants before anything
+// is stored; documents stream straight to the configured storage driver (see lib/storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_BATCH_IMAGES },
+  fileFilter: mimeFilter(IMAGE_MIME_TYPES),
 });
 
-const upload = multer({ storage });
+const documentUpload = multer({
+  storage: storageEngine('document'),
+  limits: { fileSize: MAX_DOCUMENT_BYTES },
+  fileFilter: mimeFilter(DOCUMENT_MIME_TYPES),
+});
 
 module.exports = upload;
+module.exports.documentUpload = documentUpload;
+module.exports.IMAGE_MIME_TYPES = IMAGE_MIME_TYPES;
+module.exports.DOCUMENT_MIME_TYPES = DOCUMENT_MIME_TYPES;
+module.exports.MAX_IMAGE_BYTES = MAX_IMAGE_BYTES;
+module.exports.MAX_DOCUMENT_BYTES = MAX_DOCUMENT_BYTES;
+module.exports.MAX_BATCH_IMAGES = MAX_BATCH_IMAGES;